@@ -1,14 +1,37 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 
 /**
  * Behavior Rubric App — single-file React component
  * - Editable categories, periods, and 0–3 scale labels
- * - Per-period x category scoring matrix
+ * - Per-period x category scoring matrix; periods can be named, scheduled (start/end) or an interval grid
+ * - Each score is timestamped; the current period is highlighted from the clock
  * - Auto totals, %s, goal tracking
+ * - Tally (event count) and duration (timer) categories, summarized apart from points
+ * - Each day keeps a snapshot of the rubric it was scored under
  * - Per-period comments + daily notes
- * - Multi-student support (local-only)
- * - Save to localStorage, export CSV, print daily report
+ * - Multi-student support (local-only), each student on the shared rubric or their own
+ * - Save to IndexedDB (per-record, debounced; localStorage fallback), export CSV, print daily report
  * - Import/Export settings as JSON
+ * - Saved data and imported files are validated and migrated to the current format
+ * - Optional sync with a small self-hosted server (behavior_rubric_sync_server.mjs), works offline
+ * - Full backup/restore of students, settings and entries (replace or merge)
+ * - Range/roster CSV export (long or one-row-per-day wide layout)
+ * - Trends view: daily %, rolling average, per-category/per-period averages
+ * - Printable weekly/monthly progress reports, with a parent-friendly version
+ * - Roster view: score every student for one period, with fill-all and copy-previous shortcuts
+ * - Token economy: tokens earned from totals, goals, streaks and bonus rules; reward menu and ledger
+ * - Goal rules with bronze/silver/gold tiers: daily %, per-period and per-category targets, N of M periods
+ * - Absent / not observed / excused / N/A per period or cell, left out of totals with a prorated goal
+ * - Change history per day and for settings (who, when, old → new); undo/redo with Ctrl+Z / Ctrl+Shift+Z
+ * - Archive/restore students; permanent delete purges their records; storage used per student
+ * - Optional passcode: saved data encrypted (PBKDF2 + AES-GCM), auto-lock, encrypted exports, initials-only mode
+ * - Keyboard grid for the daily matrix: arrows, number keys, Delete, auto-advance, spoken totals, large touch mode
+ * - Month calendar per student colored by percent/goal, with a school calendar so non-school days aren't "missing"
+ * - CSV import of the long export format: name mapping, row errors and a dry-run summary before writing
+ * - Weighted scoring: category/period weights, categories left out of the total, reverse-scored categories
+ * - Rubric templates: built-in presets and saved templates, previewed and applied to a student or the shared rubric, shared as files
+ * - Check-in/check-out (CICO) per student: morning mentor check-in, afternoon review against the day's goal, note home
+ * - Intervention phases per student with mean/median/trend per phase, decision-rule flags and phase lines in charts and exports
  * - Modern UI with Tailwind (no external component libs)
  */
 
@@ -16,6 +39,31 @@ import React, { useEffect, useMemo, useState } from "react";
 const todayISO = () => new Date().toISOString().slice(0, 10);
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 const uid = () => Math.random().toString(36).slice(2, 9);
+const addDays = (iso, n) => {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Local-time helpers for scheduled periods ("HH:MM" strings)
+const localDateISO = (d = new Date()) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+const toMinutes = (t) => {
+  const [h, m] = String(t).split(":").map(Number);
+  return h * 60 + m;
+};
+const fromMinutes = (n) => `${String(Math.floor(n / 60)).padStart(2, "0")}:${String(n % 60).padStart(2, "0")}`;
+const formatTime = (t) => (t ? `${parseInt(t.slice(0, 2), 10)}:${t.slice(3, 5)}` : "");
+const formatClock = (iso) => (iso ? new Date(iso).toTimeString().slice(0, 5) : "");
+
+// Trailing average over the last `n` values (fewer at the start of the series)
+function rollingAverage(values, n) {
+  return values.map((_, i) => {
+    const win = values.slice(Math.max(0, i - n + 1), i + 1);
+    return win.reduce((a, b) => a + b, 0) / win.length;
+  });
+}
 
 // CSV helpers
 function toCSV(rows) {
@@ -24,670 +72,6533 @@ function toCSV(rows) {
     .join("\n");
 }
 
-// localStorage helpers
-const LS_KEY = "behavior_rubric_app_v1";
-const loadLS = () => {
-  try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
-};
-const saveLS = (state) => localStorage.setItem(LS_KEY, JSON.stringify(state));
-
-// ---- Default Config ----
-const DEFAULT_SETTINGS = {
-  scaleMax: 3,
-  scaleLabels: {
-    0: "Not Met",
-    1: "Emerging",
-    2: "Meets",
-    3: "Exceeds",
-  },
-  categories: [
-    { id: uid(), name: "Be Respectful" },
-    { id: uid(), name: "Be Responsible" },
-    { id: uid(), name: "Be Safe" },
-    { id: uid(), name: "On Task" },
-  ],
-  periods: [
-    { id: uid(), name: "Arrival" },
-    { id: uid(), name: "Morning Block" },
-    { id: uid(), name: "Lunch/Recess" },
-    { id: uid(), name: "Afternoon Block" },
-    { id: uid(), name: "Dismissal" },
-  ],
-  goalPoints: 24,
-};
+const CSV_HEADER = [
+  "Date",
+  "Student",
+  "Period",
+  "Category",
+  "Score",
+  "ScaleMax",
+  "PeriodTotal",
+  "PeriodMax",
+  "DailyTotal",
+  "DailyMax",
+  "Percent",
+  "Staff",
+  "PeriodComment",
+  "DailyNote",
+  // Appended after the original columns so existing spreadsheets keep their layout
+  "PeriodStart",
+  "PeriodEnd",
+  "ScoredAt",
+  "CategoryType",
+  "Count",
+  "DurationMin",
+  "GoalTier",
+  "GoalRules",
+  "Status",
+  "GoalProrated",
+  "Weight",
+  "Points",
+  "CICOMentor",
+  "CICOMood",
+  "CICOMaterials",
+  "CICOGoal",
+  "CICOGoalMet",
+  "CICOFeedback",
+  "CICOHomeNote",
+  "CICOCheckIn",
+  "CICOCheckOut",
+  "Phase",
+];
 
-// ---- Root Component ----
-export default function BehaviorRubricApp() {
-  // Global app state
-  const [students, setStudents] = useState(() => {
-    const s = loadLS();
-    return s?.students ?? [
-      { id: uid(), name: "Seth Example" },
-    ];
+// Long-format rows (one per period x category) for a single record. `phase` names the
+// student's intervention phase on that day.
+function recordCSVRows(record, rubric, studentName, phase = null) {
+  const totals = computeTotals(record, rubric);
+  const { totalPoints, maxPoints, percent, perPeriodTotals } = totals;
+  const goals = evaluateGoals(record, rubric, totals);
+  const rows = [];
+  rubric.periods.forEach((p) => {
+    rubric.categories.forEach((c) => {
+      const type = categoryType(c);
+      const status = type === "rubric" ? statusOf(record, p.id, c.id) : null;
+      const score = type === "rubric" && !status ? record.matrix?.[p.id]?.[c.id] : null;
+      const measure = type === "rubric" ? null : measureValue(record, p.id, c);
+      rows.push([
+        record.date,
+        studentName ?? "",
+        p.name,
+        c.name,
+        score ?? "",
+        type === "rubric" ? rubric.scaleMax : "",
+        perPeriodTotals[p.id].total,
+        perPeriodTotals[p.id].max,
+        totalPoints,
+        maxPoints,
+        `${percent}%`,
+        record.staff ?? "",
+        record.periodComments?.[p.id] ?? "",
+        record.dailyNote ?? "",
+        p.start ?? "",
+        p.end ?? "",
+        record.cellTimes?.[p.id]?.[c.id] ?? "",
+        type,
+        type === "tally" ? measure : "",
+        type === "duration" ? round1(measure / 60) : "",
+        goals.tier ? GOAL_TIERS[goals.tier] : "",
+        goalRulesText(goals),
+        statusCode(status),
+        totals.goalTarget,
+        type === "rubric" ? (countsToTotal(c) ? weightOf(c) * weightOf(p) : 0) : "",
+        score === null || score === undefined || !countsToTotal(c) ? "" : round1(weightOf(c) * weightOf(p) * effectiveScore(c, score, rubric.scaleMax)),
+        ...cicoCSVFields(record, totals),
+        phase?.name ?? "",
+      ]);
+    });
   });
-  const [settings, setSettings] = useState(() => {
-    const s = loadLS();
-    return s?.settings ?? DEFAULT_SETTINGS;
+  return rows;
+}
+
+// Wide-format header + row (one per day) for the summary layout. Period columns are the
+// union of every exported day's periods; a day without one of them leaves it blank.
+function widePeriods(rubrics) {
+  const seen = new Map();
+  rubrics.forEach((r) => r.periods.forEach((p) => !seen.has(p.id) && seen.set(p.id, p)));
+  return [...seen.values()];
+}
+// Tally/duration categories across the exported days, summarized as daily totals
+function wideMeasures(rubrics) {
+  const seen = new Map();
+  rubrics.forEach((r) => r.categories.filter((c) => !isScored(c)).forEach((c) => !seen.has(c.id) && seen.set(c.id, c)));
+  return [...seen.values()];
+}
+function wideCSVHeader(periods, measures = []) {
+  return [
+    "Date",
+    "Student",
+    ...periods.map((p) => `${p.name} Total`),
+    "DailyTotal",
+    "DailyMax",
+    "Percent",
+    "GoalPoints",
+    "GoalMet",
+    "Staff",
+    "DailyNote",
+    ...measures.map((c) => `${c.name} (${categoryType(c) === "tally" ? "count" : "min"})`),
+    "GoalTier",
+    "GoalRules",
+    "GoalProrated",
+    "Statuses",
+    "CICOMentor",
+    "CICOMood",
+    "CICOMaterials",
+    "CICOGoal",
+    "CICOGoalMet",
+    "CICOFeedback",
+    "CICOHomeNote",
+    "CICOCheckIn",
+    "CICOCheckOut",
+    "Phase",
+  ];
+}
+function recordWideCSVRow(record, rubric, periods, studentName, measures = [], phase = null) {
+  const totals = computeTotals(record, rubric);
+  const { totalPoints, maxPoints, percent, perPeriodTotals } = totals;
+  const goals = evaluateGoals(record, rubric, totals);
+  const daily = Object.fromEntries(computeMeasures(record, rubric).map((m) => [m.category.id, m.total]));
+  return [
+    record.date,
+    studentName ?? "",
+    ...periods.map((p) => perPeriodTotals[p.id]?.total ?? ""),
+    totalPoints,
+    maxPoints,
+    `${percent}%`,
+    rubric.goalPoints,
+    totals.goalMet ? "Yes" : "No",
+    record.staff ?? "",
+    record.dailyNote ?? "",
+    ...measures.map((c) => {
+      if (!(c.id in daily)) return "";
+      return categoryType(c) === "tally" ? daily[c.id] : round1(daily[c.id] / 60);
+    }),
+    goals.tier ? GOAL_TIERS[goals.tier] : "",
+    goalRulesText(goals),
+    totals.goalTarget,
+    statusSummary(record, rubric),
+    ...cicoCSVFields(record, totals),
+    phase?.name ?? "",
+  ];
+}
+
+// "Lunch/Recess: ABS; Dismissal — Be Safe: NO" for a record's periods and cells with a status
+function statusSummary(record, rubric) {
+  const parts = [];
+  rubric.periods.forEach((p) => {
+    if (record.periodStatus?.[p.id]) return parts.push(`${p.name}: ${statusCode(record.periodStatus[p.id])}`);
+    rubric.categories.filter(isScored).forEach((c) => {
+      const st = record.cellStatus?.[p.id]?.[c.id];
+      if (st) parts.push(`${p.name} — ${c.name}: ${statusCode(st)}`);
+    });
   });
-  const [date, setDate] = useState(() => {
-    const s = loadLS();
-    return s?.date ?? todayISO();
+  return parts.join("; ");
+}
+
+// True when a record holds anything worth exporting
+function recordHasData(record) {
+  const anyValue = (grid) =>
+    Object.values(grid ?? {}).some((row) => Object.values(row ?? {}).some((v) => v !== null && v !== undefined && v !== 0));
+  const anyScore = Object.values(record.matrix ?? {}).some((row) =>
+    Object.values(row ?? {}).some((v) => v !== null && v !== undefined)
+  );
+  const anyComment = Object.values(record.periodComments ?? {}).some(Boolean);
+  const anyStatus = Object.values(record.periodStatus ?? {}).some(Boolean) || anyValue(record.cellStatus);
+  return (
+    anyScore || anyStatus || anyValue(record.tallies) || anyValue(record.durations) || anyComment || Boolean(record.dailyNote) || hasCICO(record)
+  );
+}
+
+// Browser download helper
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ---- Backup / Restore ----
+const BACKUP_FORMAT = "behavior-rubric-backup";
+const BACKUP_VERSION = 1;
+
+function makeBackup({ students, sharedSettings, entries, settingsLog, templates }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    students,
+    settings: sharedSettings,
+    entries,
+    settingsLog,
+    templates,
+  };
+}
+
+// Entries belonging to one student
+const entriesOf = (entries, studentId) =>
+  Object.fromEntries(Object.entries(entries).filter(([, r]) => r?.studentId === studentId));
+
+// Days and approximate bytes (JSON characters) each student's data takes up
+function storageByStudent(students, entries) {
+  const usage = new Map(students.map((s) => [s.id, { days: 0, bytes: JSON.stringify(s).length }]));
+  Object.values(entries).forEach((r) => {
+    const u = usage.get(r?.studentId);
+    if (!u) return;
+    u.days += 1;
+    u.bytes += JSON.stringify(r).length;
   });
-  const [studentId, setStudentId] = useState(() => {
-    const s = loadLS();
-    return s?.studentId ?? students[0]?.id;
+  return usage;
+}
+
+const formatBytes = (n) => (n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${round1(n / 1024)} KB` : `${round1(n / 1024 / 1024)} MB`);
+
+// Record contents without the per-device record id
+const recordBody = (r) => {
+  const { id: _id, ...rest } = r ?? {};
+  return JSON.stringify(rest);
+};
+
+// Short human description of how two versions of the same day differ
+function describeRecordDiff(local, incoming) {
+  const parts = [];
+  let cells = 0;
+  const periods = new Set([...Object.keys(local.matrix ?? {}), ...Object.keys(incoming.matrix ?? {})]);
+  periods.forEach((p) => {
+    const a = local.matrix?.[p] ?? {};
+    const b = incoming.matrix?.[p] ?? {};
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach((c) => {
+      if ((a[c] ?? null) !== (b[c] ?? null)) cells += 1;
+    });
   });
+  if (cells) parts.push(`${cells} score(s)`);
+  if (JSON.stringify(local.periodComments ?? {}) !== JSON.stringify(incoming.periodComments ?? {})) parts.push("period comments");
+  if ((local.dailyNote ?? "") !== (incoming.dailyNote ?? "")) parts.push("daily note");
+  if ((local.staff ?? "") !== (incoming.staff ?? "")) parts.push("staff");
+  if (JSON.stringify(local.cico ?? {}) !== JSON.stringify(incoming.cico ?? {})) parts.push("check-in/out");
+  if (JSON.stringify(local.rubric ?? null) !== JSON.stringify(incoming.rubric ?? null)) parts.push("rubric");
+  return parts.length ? parts.join(", ") : "other fields";
+}
 
-  // Data entries: keyed by date->studentId
-  const [entries, setEntries] = useState(() => {
-    const s = loadLS();
-    return s?.entries ?? {};
+// Plan a merge of a backup into local data. Students are matched by id (local names win);
+// days only in the backup are added, and days that differ on both sides become conflicts.
+// Local days with nothing recorded are not conflicts; the backup's version is used.
+function planMerge(local, backup) {
+  const known = new Set(local.students.map((s) => s.id));
+  const newStudents = (backup.students ?? []).filter((s) => !known.has(s.id));
+  const knownTemplates = new Set((local.templates ?? []).map((t) => t.id));
+  const newTemplates = (backup.templates ?? []).filter((t) => !knownTemplates.has(t.id));
+  const added = {};
+  const conflicts = [];
+  let identical = 0;
+  Object.entries(backup.entries ?? {}).forEach(([k, incoming]) => {
+    const mine = local.entries[k];
+    if (!mine || !recordHasData(mine)) added[k] = incoming;
+    else if (recordBody(mine) === recordBody(incoming)) identical += 1;
+    else conflicts.push({ key: k, local: mine, incoming, summary: describeRecordDiff(mine, incoming) });
   });
+  return { newStudents, newTemplates, added, conflicts, identical };
+}
 
-  // Persist
-  useEffect(() => {
-    saveLS({ students, settings, date, studentId, entries });
-  }, [students, settings, date, studentId, entries]);
+function readFileText(file, onText) {
+  const reader = new FileReader();
+  reader.onload = (e) => onText(e.target.result);
+  reader.readAsText(file);
+}
 
-  const student = students.find((s) => s.id === studentId);
+// ---- CSV Import ----
+// Reads the long format exportCSV writes, one row per period x category. Only Date,
+// Student, Period and Category are required, so hand-typed sheets from paper work too;
+// totals and other derived columns are ignored. Names match existing students, periods
+// and categories ignoring case; the preview maps, creates or skips the rest, and nothing
+// is written until the plan is applied.
+const IMPORT_COLUMNS = {
+  date: "Date",
+  student: "Student",
+  period: "Period",
+  category: "Category",
+  score: "Score",
+  status: "Status",
+  staff: "Staff",
+  periodComment: "PeriodComment",
+  dailyNote: "DailyNote",
+  scoredAt: "ScoredAt",
+  categoryType: "CategoryType",
+  count: "Count",
+  durationMin: "DurationMin",
+};
+const REQUIRED_IMPORT_COLUMNS = ["date", "student", "period", "category"];
+const normName = (s) => String(s ?? "").trim().toLowerCase();
 
-  // Ensure record exists for (date, student)
-  const key = `${date}__${studentId}`;
-  const record = useMemo(() => {
-    const existing = entries[key];
-    if (existing) return existing;
-    const matrix = {};
-    settings.periods.forEach((p) => {
-      matrix[p.id] = {};
-      settings.categories.forEach((c) => (matrix[p.id][c.id] = null));
-    });
-    return {
-      id: uid(),
-      studentId,
+// RFC 4180-style: quoted fields may hold commas, doubled quotes and line breaks
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') field += src[++i];
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows;
+}
+
+// "2024-03-05" as is; "3/5/2024" (US, as typed from paper sheets) converted; null for
+// anything else, including dates not on the calendar such as 2024-13-45 or 2/31/2024
+function importDate(v) {
+  const t = v.trim();
+  const m = t.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(t) ? t : m ? `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}` : null;
+  // Date.UTC rolls day 31 of a 30-day month into the next month, so a round trip catches it
+  const [y, mo, d] = iso?.split("-").map(Number) ?? [];
+  return iso && new Date(Date.UTC(y, mo - 1, d)).toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+// Resolves to { rows, errors, missing } where errors are { line, message } and `missing`
+// lists required columns the header lacks
+function readImportCSV(text) {
+  const [header = [], ...body] = parseCSV(text);
+  const index = {};
+  Object.entries(IMPORT_COLUMNS).forEach(([field, label]) => {
+    const i = header.findIndex((h) => normName(h).replace(/\s+/g, "") === label.toLowerCase());
+    if (i >= 0) index[field] = i;
+  });
+  const missing = REQUIRED_IMPORT_COLUMNS.filter((f) => !(f in index)).map((f) => IMPORT_COLUMNS[f]);
+  if (missing.length) return { rows: [], errors: [], missing };
+  const statusByCode = new Map(Object.entries(CELL_STATUSES).map(([id, st]) => [st.code.toLowerCase(), id]));
+  const rows = [];
+  const errors = [];
+  body.forEach((cells, i) => {
+    const line = i + 2;
+    if (cells.every((c) => !c.trim())) return;
+    const get = (f) => (f in index ? (cells[index[f]] ?? "").trim() : "");
+    const problems = [];
+    const date = importDate(get("date"));
+    if (!date) problems.push(`date "${get("date")}" is not a real date in YYYY-MM-DD or M/D/YYYY`);
+    REQUIRED_IMPORT_COLUMNS.slice(1).forEach((f) => !get(f) && problems.push(`${IMPORT_COLUMNS[f]} is empty`));
+    const number = (f) => {
+      const v = get(f);
+      if (v === "") return null;
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) problems.push(`${IMPORT_COLUMNS[f]} "${v}" is not a number`);
+      return n;
+    };
+    const score = number("score");
+    if (Number.isFinite(score) && !Number.isInteger(score)) problems.push(`Score "${get("score")}" is not a whole number`);
+    const status = get("status") ? statusByCode.get(get("status").toLowerCase()) ?? (CELL_STATUSES[get("status")] && get("status")) : null;
+    if (get("status") && !status) problems.push(`Status "${get("status")}" is not one of ${Object.values(CELL_STATUSES).map((st) => st.code).join(", ")}`);
+    const row = {
+      line,
       date,
-      matrix, // periodId -> categoryId -> score (0..scaleMax or null)
-      periodComments: {}, // periodId -> string
-      dailyNote: "",
-      staff: "",
+      student: get("student"),
+      period: get("period"),
+      category: get("category"),
+      score,
+      status,
+      staff: get("staff"),
+      periodComment: get("periodComment"),
+      dailyNote: get("dailyNote"),
+      scoredAt: get("scoredAt") || null,
+      categoryType: CATEGORY_TYPES[get("categoryType")] ? get("categoryType") : null,
+      count: number("count"),
+      durationMin: number("durationMin"),
     };
-  }, [entries, key, settings, studentId, date]);
+    if (problems.length) errors.push({ line, message: problems.join("; ") });
+    else rows.push(row);
+  });
+  return { rows, errors, missing };
+}
 
-  useEffect(() => {
-    if (!entries[key]) {
-      setEntries((prev) => ({ ...prev, [key]: record }));
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [key]);
+// Names in the file -> what they become: an existing student id / period or category name,
+// "new" (create it) or "skip" (leave those rows out). Keyed by normName.
+function defaultImportMapping(rows, students, rubrics) {
+  const pick = (field, known) => {
+    const out = {};
+    rows.forEach((r) => {
+      const k = normName(r[field]);
+      if (!(k in out)) out[k] = known(k) ?? "new";
+    });
+    return out;
+  };
+  const named = (list) => (k) => list.find((x) => normName(x.name) === k)?.name;
+  return {
+    students: pick("student", (k) => students.find((s) => normName(s.name) === k)?.id),
+    periods: pick("period", named(rubrics.flatMap((r) => r.periods))),
+    categories: pick("category", named(rubrics.flatMap((r) => r.categories))),
+  };
+}
 
-  function updateRecord(mut) {
-    setEntries((prev) => ({ ...prev, [key]: { ...prev[key], ...mut } }));
-  }
+// Dry run: everything the import would do, without touching app state.
+// `overwrite` decides whether a cell that already holds a different value takes the file's.
+// Returns { students, sharedSettings, records, errors, stats } with the new arrays/objects.
+function planImport(rows, mapping, { students, sharedSettings, entries }, overwrite) {
+  const errors = [];
+  const stats = { rows: rows.length, skipped: 0, newStudents: 0, added: [], newRecords: 0, updatedRecords: 0, cellsSet: 0, unchanged: 0, conflicts: 0 };
+  let nextStudents = students;
+  let nextShared = sharedSettings;
+  // New students, one per distinct name marked "new"
+  const studentIds = {};
+  Object.entries(mapping.students).forEach(([k, v]) => {
+    if (v !== "new") return (studentIds[k] = v);
+    const name = rows.find((r) => normName(r.student) === k).student;
+    const s = { id: uid(), name };
+    nextStudents = [...nextStudents, s];
+    studentIds[k] = s.id;
+    stats.newStudents += 1;
+  });
+  // Rubric to add to: the student's own if they have one, else the shared template
+  const settingsOf = (sid) => settingsFor(nextStudents.find((s) => s.id === sid), nextShared);
+  const updateSettings = (sid, fn) => {
+    const s = nextStudents.find((x) => x.id === sid);
+    if (s?.settings) nextStudents = nextStudents.map((x) => (x.id === sid ? { ...x, settings: fn(x.settings) } : x));
+    else nextShared = fn(nextShared);
+  };
+  // The period or category a row names, in the student's rubric, added there when mapped to "new"
+  const resolve = (row, sid, listKey) => {
+    const field = listKey === "periods" ? "period" : "category";
+    const choice = mapping[listKey][normName(row[field])];
+    const name = choice === "new" ? row[field] : choice;
+    let item = settingsOf(sid)[listKey].find((x) => normName(x.name) === normName(name));
+    if (!item && choice === "new") {
+      item = { id: uid(), name };
+      if (field === "category" && row.categoryType && row.categoryType !== "rubric") item.type = row.categoryType;
+      updateSettings(sid, (st) => ({ ...st, [listKey]: [...st[listKey], item] }));
+      stats.added.push(`${field} "${name}"`);
+    }
+    return item;
+  };
 
-  function setScore(periodId, categoryId, val) {
-    const v = val === "" ? null : clamp(parseInt(val, 10), 0, settings.scaleMax);
-    setEntries((prev) => ({
-      ...prev,
-      [key]: {
-        ...prev[key],
-        matrix: {
-          ...prev[key].matrix,
-          [periodId]: {
-            ...prev[key].matrix[periodId],
-            [categoryId]: Number.isNaN(v) ? null : v,
-          },
-        },
-      },
-    }));
-  }
+  // First pass: resolve every row so rubrics are complete before any record is made
+  const resolved = [];
+  rows.forEach((row) => {
+    const sid = studentIds[normName(row.student)];
+    if (sid === "skip" || mapping.periods[normName(row.period)] === "skip" || mapping.categories[normName(row.category)] === "skip") {
+      stats.skipped += 1;
+      return;
+    }
+    const period = resolve(row, sid, "periods");
+    const category = resolve(row, sid, "categories");
+    const who = nextStudents.find((s) => s.id === sid)?.name;
+    if (!period) errors.push({ line: row.line, message: `period "${row.period}" isn't in ${who}'s rubric` });
+    else if (!category) errors.push({ line: row.line, message: `category "${row.category}" isn't in ${who}'s rubric` });
+    else resolved.push({ row, sid, period, category });
+  });
 
-  // Totals
-  const { totalPoints, maxPoints, percent, perPeriodTotals } = useMemo(() => {
-    let total = 0;
-    let max = 0;
-    const per = {};
-    settings.periods.forEach((p) => {
-      let t = 0;
-      let m = 0;
-      settings.categories.forEach((c) => {
-        const val = record.matrix?.[p.id]?.[c.id];
-        if (val !== null && val !== undefined) {
-          t += val;
-        }
-        m += settings.scaleMax;
+  // Second pass: write values into copies of the records
+  const records = {};
+  const changed = new Set();
+  resolved.forEach(({ row, sid, period, category }) => {
+    const key = `${row.date}__${sid}`;
+    let rec = records[key] ?? entries[key] ?? makeRecord(sid, row.date, settingsOf(sid));
+    // Days scored under an older rubric get the imported period/category added to their snapshot
+    let rubric = rubricOf(rec, settingsOf(sid));
+    if (rec.rubric && (!rubric.periods.some((p) => p.id === period.id) || !rubric.categories.some((c) => c.id === category.id))) {
+      rubric = {
+        ...rubric,
+        periods: rubric.periods.some((p) => p.id === period.id) ? rubric.periods : [...rubric.periods, period],
+        categories: rubric.categories.some((c) => c.id === category.id) ? rubric.categories : [...rubric.categories, category],
+      };
+      rec = { ...rec, rubric };
+    }
+    rec = withMatrixShape(rec, rubric);
+    const type = categoryType(category);
+    let dirty = false;
+    // Cell values: `write` runs when the file has a value and the cell is empty or `overwrite` is on
+    const apply = (current, value, write) => {
+      if (value === null || value === "" || value === undefined) return;
+      if (current === value) {
+        stats.unchanged += 1;
+        return;
+      }
+      if (current !== null && current !== undefined && current !== "") {
+        stats.conflicts += 1;
+        if (!overwrite) return;
+      }
+      write();
+      stats.cellsSet += 1;
+      dirty = true;
+    };
+    if (type === "rubric") {
+      if (row.score !== null && row.score > rubric.scaleMax) {
+        errors.push({ line: row.line, message: `score ${row.score} is above this rubric's maximum of ${rubric.scaleMax}` });
+        return;
+      }
+      const current = statusOf(rec, period.id, category.id) ?? rec.matrix[period.id][category.id];
+      apply(current, row.status ?? row.score, () => {
+        rec = withScore(rec, period.id, category.id, row.status ? null : row.score);
+        rec = {
+          ...rec,
+          cellTimes: { ...rec.cellTimes, [period.id]: { ...rec.cellTimes[period.id], [category.id]: row.status ? null : row.scoredAt } },
+          ...(row.status && {
+            cellStatus: { ...rec.cellStatus, [period.id]: { ...rec.cellStatus?.[period.id], [category.id]: row.status } },
+          }),
+        };
       });
-      per[p.id] = { total: t, max: m };
-      total += t;
-      max += m;
-    });
-    return {
-      totalPoints: total,
-      maxPoints: max,
-      percent: max > 0 ? Math.round((total / max) * 100) : 0,
-      perPeriodTotals: per,
+    } else if (type === "tally") {
+      apply(rec.tallies?.[period.id]?.[category.id] ?? null, row.count, () => {
+        rec = { ...rec, tallies: { ...rec.tallies, [period.id]: { ...rec.tallies?.[period.id], [category.id]: row.count } } };
+      });
+    } else {
+      const seconds = row.durationMin === null ? null : Math.round(row.durationMin * 60);
+      apply(rec.durations?.[period.id]?.[category.id] ?? null, seconds, () => {
+        rec = { ...rec, durations: { ...rec.durations, [period.id]: { ...rec.durations?.[period.id], [category.id]: seconds } } };
+      });
+    }
+    // Comments, notes and staff repeat on many rows, so they're filled in without being counted
+    const fill = (current, value, write) => {
+      if (!value || value === current || (current && !overwrite)) return;
+      write();
+      dirty = true;
     };
-  }, [record, settings]);
+    fill(rec.periodComments?.[period.id], row.periodComment, () => {
+      rec = { ...rec, periodComments: { ...rec.periodComments, [period.id]: row.periodComment } };
+    });
+    fill(rec.dailyNote, row.dailyNote, () => (rec = { ...rec, dailyNote: row.dailyNote }));
+    fill(rec.staff, row.staff, () => (rec = { ...rec, staff: row.staff }));
+    records[key] = rec;
+    if (dirty) changed.add(key);
+  });
+  const written = {};
+  changed.forEach((key) => {
+    written[key] = records[key];
+    if (entries[key]) stats.updatedRecords += 1;
+    else stats.newRecords += 1;
+  });
+  errors.sort((a, b) => a.line - b.line);
+  return { students: nextStudents, sharedSettings: nextShared, records: written, errors, stats };
+}
 
-  // CSV export
-  function exportCSV() {
-    const header = [
-      "Date",
-      "Student",
-      "Period",
-      "Category",
-      "Score",
-      "ScaleMax",
-      "PeriodTotal",
-      "PeriodMax",
-      "DailyTotal",
-      "DailyMax",
-      "Percent",
-      "Staff",
-      "PeriodComment",
-      "DailyNote",
-    ];
+// ---- Schema & Migrations ----
+// Declared shapes for persisted state and imported files. Objects allow extra keys so
+// newer optional fields don't fail older checks.
+const Shape = {
+  string: { type: "string" },
+  number: { type: "number" },
+  boolean: { type: "boolean" },
+  array: (of) => ({ type: "array", of }),
+  object: (props) => ({ type: "object", props }),
+  map: (values) => ({ type: "map", values }), // object with arbitrary keys
+  optional: (shape) => ({ ...shape, optional: true }),
+  nullable: (shape) => ({ ...shape, nullable: true }),
+};
 
-    const rows = [header];
-    settings.periods.forEach((p) => {
-      settings.categories.forEach((c) => {
-        const score = record.matrix?.[p.id]?.[c.id];
-        rows.push([
-          date,
-          student?.name ?? "",
-          p.name,
-          c.name,
-          score ?? "",
-          settings.scaleMax,
-          perPeriodTotals[p.id].total,
-          perPeriodTotals[p.id].max,
-          totalPoints,
-          maxPoints,
-          `${percent}%`,
-          record.staff ?? "",
-          record.periodComments?.[p.id] ?? "",
-          record.dailyNote ?? "",
-        ]);
-      });
+const describeType = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+
+// Returns a list of readable errors like `settings.periods: expected array, got undefined`
+function validateShape(value, shape, path = "value", errors = []) {
+  if (value === undefined && shape.optional) return errors;
+  if (value === null && shape.nullable) return errors;
+  const got = describeType(value);
+  const expected = shape.type === "map" ? "object" : shape.type;
+  if (got !== expected || (expected === "number" && Number.isNaN(value))) {
+    errors.push(`${path}: expected ${expected}, got ${got}`);
+    return errors;
+  }
+  if (shape.type === "array") value.forEach((v, i) => validateShape(v, shape.of, `${path}[${i}]`, errors));
+  if (shape.type === "object") Object.entries(shape.props).forEach(([k, s]) => validateShape(value[k], s, `${path}.${k}`, errors));
+  if (shape.type === "map") Object.entries(value).forEach(([k, v]) => validateShape(v, shape.values, `${path}["${k}"]`, errors));
+  return errors;
+}
+
+const PERIOD_SHAPE = Shape.object({
+  id: Shape.string,
+  name: Shape.string,
+  start: Shape.optional(Shape.string),
+  end: Shape.optional(Shape.string),
+  weight: Shape.optional(Shape.number),
+});
+const CATEGORY_SHAPE = Shape.object({
+  id: Shape.string,
+  name: Shape.string,
+  type: Shape.optional(Shape.string),
+  weight: Shape.optional(Shape.number),
+  excludeFromTotal: Shape.optional(Shape.boolean),
+  reverse: Shape.optional(Shape.boolean),
+});
+const SETTINGS_SHAPE = Shape.object({
+  scaleMax: Shape.number,
+  scaleLabels: Shape.optional(Shape.map(Shape.string)),
+  categories: Shape.array(CATEGORY_SHAPE),
+  periods: Shape.array(PERIOD_SHAPE),
+  goalPoints: Shape.number,
+  periodMode: Shape.optional(Shape.string),
+  goalRules: Shape.optional(
+    Shape.array(Shape.object({ id: Shape.string, name: Shape.string, tier: Shape.string, type: Shape.string, min: Shape.number }))
+  ),
+  interval: Shape.optional(Shape.object({ start: Shape.string, end: Shape.string, minutes: Shape.number })),
+  tokens: Shape.optional(
+    Shape.object({
+      enabled: Shape.boolean,
+      pointsPerToken: Shape.number,
+      goalBonus: Shape.number,
+      streakDays: Shape.number,
+      streakBonus: Shape.number,
+      bonusRules: Shape.array(Shape.object({ id: Shape.string, name: Shape.string, type: Shape.string, min: Shape.number, tokens: Shape.number })),
+      rewards: Shape.array(Shape.object({ id: Shape.string, name: Shape.string, cost: Shape.number })),
+    })
+  ),
+  schoolCalendar: Shape.optional(Shape.object({ weekdays: Shape.array(Shape.number), closed: Shape.map(Shape.string) })),
+  cicoMaterials: Shape.optional(Shape.array(Shape.string)),
+  decisionRules: Shape.optional(Shape.array(Shape.object({ id: Shape.string, type: Shape.string, days: Shape.number }))),
+});
+const HISTORY_ENTRY_SHAPE = Shape.object({ id: Shape.optional(Shape.string), ts: Shape.string, by: Shape.string, field: Shape.string, from: Shape.string, to: Shape.string });
+const RECORD_SHAPE = Shape.object({
+  studentId: Shape.string,
+  date: Shape.string,
+  rubric: Shape.optional(SETTINGS_SHAPE),
+  matrix: Shape.map(Shape.map(Shape.nullable(Shape.number))),
+  cellTimes: Shape.optional(Shape.map(Shape.map(Shape.nullable(Shape.string)))),
+  periodStatus: Shape.optional(Shape.map(Shape.nullable(Shape.string))),
+  cellStatus: Shape.optional(Shape.map(Shape.map(Shape.nullable(Shape.string)))),
+  tallies: Shape.optional(Shape.map(Shape.map(Shape.number))),
+  durations: Shape.optional(Shape.map(Shape.map(Shape.number))),
+  timers: Shape.optional(Shape.map(Shape.map(Shape.nullable(Shape.string)))),
+  periodComments: Shape.optional(Shape.map(Shape.string)),
+  dailyNote: Shape.optional(Shape.string),
+  staff: Shape.optional(Shape.string),
+  history: Shape.optional(Shape.array(HISTORY_ENTRY_SHAPE)),
+  cico: Shape.optional(
+    Shape.object({
+      mentor: Shape.optional(Shape.string),
+      mood: Shape.optional(Shape.string),
+      materials: Shape.optional(Shape.map(Shape.boolean)),
+      goal: Shape.optional(Shape.number),
+      checkedInAt: Shape.optional(Shape.string),
+      feedback: Shape.optional(Shape.string),
+      homeNote: Shape.optional(Shape.string),
+      checkedOutAt: Shape.optional(Shape.string),
+    })
+  ),
+});
+const STUDENT_SHAPE = Shape.object({
+  id: Shape.string,
+  name: Shape.string,
+  settings: Shape.optional(SETTINGS_SHAPE),
+  archivedAt: Shape.optional(Shape.string),
+  cico: Shape.optional(Shape.boolean),
+  phases: Shape.optional(
+    Shape.array(Shape.object({ id: Shape.string, name: Shape.string, start: Shape.string, notes: Shape.optional(Shape.string) }))
+  ),
+  ledger: Shape.optional(
+    Shape.array(Shape.object({ id: Shape.string, date: Shape.string, ts: Shape.string, kind: Shape.string, label: Shape.string, amount: Shape.number }))
+  ),
+});
+// A saved rubric template; `settings` holds only the TEMPLATE_FIELDS
+const TEMPLATE_SHAPE = Shape.object({
+  id: Shape.string,
+  name: Shape.string,
+  description: Shape.optional(Shape.string),
+  savedAt: Shape.optional(Shape.string),
+  settings: SETTINGS_SHAPE,
+});
+// Persisted app state (and the data part of a backup file)
+const APP_DATA_SHAPE = Shape.object({
+  schemaVersion: Shape.number,
+  students: Shape.array(STUDENT_SHAPE),
+  settings: SETTINGS_SHAPE,
+  entries: Shape.map(RECORD_SHAPE),
+  settingsLog: Shape.optional(Shape.array(HISTORY_ENTRY_SHAPE)),
+  templates: Shape.optional(Shape.array(TEMPLATE_SHAPE)),
+  initialsOnly: Shape.optional(Shape.boolean),
+  encryptExports: Shape.optional(Shape.boolean),
+  autoAdvance: Shape.optional(Shape.boolean),
+  largeTouch: Shape.optional(Shape.boolean),
+});
+
+// Format version of persisted data. Bump it and add a step to MIGRATIONS whenever the
+// saved shape changes; MIGRATIONS[n] upgrades data from version n to n + 1.
+const SCHEMA_VERSION = 2;
+const MIGRATIONS = {
+  // v1 → v2: records gain a rubric snapshot, taken from the settings in force at upgrade time
+  1: (data) => {
+    const entries = {};
+    Object.entries(data.entries ?? {}).forEach(([k, r]) => {
+      const student = (data.students ?? []).find((s) => s.id === r?.studentId);
+      entries[k] = r && !r.rubric && data.settings ? { ...r, rubric: snapshotRubric(settingsFor(student, data.settings)) } : r;
     });
+    return { ...data, entries };
+  },
+};
 
-    const csv = toCSV(rows);
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `behavior_rubric_${student?.name ?? "student"}_${date}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+// Upgrade data to SCHEMA_VERSION and validate it. Returns { data } or { errors }.
+function migrateAndValidate(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { errors: ["data: expected object"] };
+  let data = raw;
+  let version = data.schemaVersion ?? 1;
+  if (version > SCHEMA_VERSION) {
+    return { errors: [`data was saved by a newer version of the app (format v${version}, this app reads up to v${SCHEMA_VERSION})`] };
   }
+  while (version < SCHEMA_VERSION) {
+    data = { ...MIGRATIONS[version](data), schemaVersion: version + 1 };
+    version += 1;
+  }
+  const errors = validateShape(data, APP_DATA_SHAPE, "data");
+  return errors.length ? { errors } : { data };
+}
 
-  function printDaily() {
-    window.print();
+// localStorage helpers
+const LS_KEY = "behavior_rubric_app_v1";
+// Saved data that fails to load is copied here so the next save doesn't overwrite it
+const LS_RECOVERY_KEY = "behavior_rubric_app_v1_unreadable";
+// Sync settings and queue when running on the localStorage fallback
+const LS_SYNC_KEY = "behavior_rubric_app_v1_sync";
+// Passcode lock settings (salt, check value) on the localStorage fallback
+const LS_LOCK_KEY = "behavior_rubric_app_v1_lock";
+
+// Returns { state } (null when nothing is saved) or { state: null, errors, raw }
+const loadLS = () => {
+  let raw;
+  try {
+    raw = localStorage.getItem(LS_KEY);
+    if (!raw) return { state: null };
+    const result = migrateAndValidate(JSON.parse(raw));
+    if (result.errors) throw result.errors;
+    return { state: result.data };
+  } catch (err) {
+    const errors = Array.isArray(err) ? err : [`saved data is not valid JSON (${err.message})`];
+    try {
+      localStorage.setItem(LS_RECOVERY_KEY, raw);
+    } catch {
+      // nothing more we can do; the error banner still shows
+    }
+    return { state: null, errors, raw };
   }
+};
+// Saved data as stored, { meta, entries } or null, for reading it back through an encrypting adapter
+const loadLSRaw = () => {
+  const raw = localStorage.getItem(LS_KEY);
+  if (!raw) return null;
+  const { entries, ...meta } = JSON.parse(raw);
+  return { meta, entries: entries ?? {} };
+};
+const loadLSUnreadable = () => {
+  const raw = localStorage.getItem(LS_RECOVERY_KEY);
+  return raw === null ? {} : { [LS_RECOVERY_KEY]: raw };
+};
+const saveLS = (state) => localStorage.setItem(LS_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...state }));
 
-  // Import/Export settings
-  function exportSettingsJSON() {
-    const json = JSON.stringify(settings, null, 2);
-    const blob = new Blob([json], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `behavior_rubric_settings.json`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+// ---- Storage Adapters ----
+// Persistence goes through an adapter so the app never touches a storage API directly:
+//   saveMeta(meta)          students, shared settings, settings log, date, studentId (small)
+//   putEntries({ key: r })  write only the records that changed
+//   deleteEntries([key])
+//   keepUnreadable(raw)     set aside data that failed to load so it isn't overwritten
+//   loadUnreadable()        the copies set aside so far, { id: raw }
+//   deleteUnreadable([id])
+//   loadSync() / saveSync(s) this device's sync settings and offline change queue
+//   loadLock() / saveLock(l) passcode settings, never encrypted (null = no passcode)
+//   clearAll()              erase everything this app saved on the device
+// Every method returns a promise; failures reject with the underlying DOMException so
+// callers can tell a QuotaExceededError apart from other errors.
+const IDB_NAME = "behavior_rubric_app";
+const IDB_VERSION = 1;
+
+const idbRequest = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+function idbTransaction(db, stores, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    fn(tx);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+}
+
+function openIndexedDB() {
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB unavailable"));
+  const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+    if (!db.objectStoreNames.contains("entries")) db.createObjectStore("entries");
+  };
+  return idbRequest(req);
+}
+
+function createIndexedDBAdapter(db) {
+  return {
+    kind: "indexeddb",
+    // Resolves to { meta, entries } or null when nothing has been saved yet
+    async load() {
+      const tx = db.transaction(["meta", "entries"], "readonly");
+      const [meta, keys, values] = await Promise.all([
+        idbRequest(tx.objectStore("meta").get("app")),
+        idbRequest(tx.objectStore("entries").getAllKeys()),
+        idbRequest(tx.objectStore("entries").getAll()),
+      ]);
+      if (!meta) return null;
+      const entries = {};
+      keys.forEach((k, i) => (entries[k] = values[i]));
+      return { meta, entries };
+    },
+    saveMeta: (meta) => idbTransaction(db, ["meta"], "readwrite", (tx) => tx.objectStore("meta").put(meta, "app")),
+    putEntries: (records) =>
+      idbTransaction(db, ["entries"], "readwrite", (tx) => {
+        const store = tx.objectStore("entries");
+        Object.entries(records).forEach(([k, r]) => store.put(r, k));
+      }),
+    deleteEntries: (keys) =>
+      idbTransaction(db, ["entries"], "readwrite", (tx) => {
+        const store = tx.objectStore("entries");
+        keys.forEach((k) => store.delete(k));
+      }),
+    keepUnreadable: (raw) =>
+      idbTransaction(db, ["meta"], "readwrite", (tx) => tx.objectStore("meta").put(raw, `unreadable_${Date.now()}_${uid()}`)),
+    // Includes a copy the localStorage version set aside before the move to IndexedDB
+    async loadUnreadable() {
+      const tx = db.transaction(["meta"], "readonly");
+      const keys = (await idbRequest(tx.objectStore("meta").getAllKeys())).filter((k) => String(k).startsWith("unreadable_"));
+      const values = await Promise.all(keys.map((k) => idbRequest(tx.objectStore("meta").get(k))));
+      return { ...loadLSUnreadable(), ...Object.fromEntries(keys.map((k, i) => [k, values[i]])) };
+    },
+    async deleteUnreadable(ids) {
+      if (ids.includes(LS_RECOVERY_KEY)) localStorage.removeItem(LS_RECOVERY_KEY);
+      await idbTransaction(db, ["meta"], "readwrite", (tx) => ids.forEach((k) => k !== LS_RECOVERY_KEY && tx.objectStore("meta").delete(k)));
+    },
+    loadSync: async () => (await idbRequest(db.transaction(["meta"], "readonly").objectStore("meta").get("sync"))) ?? null,
+    saveSync: (sync) => idbTransaction(db, ["meta"], "readwrite", (tx) => tx.objectStore("meta").put(sync, "sync")),
+    loadLock: async () => (await idbRequest(db.transaction(["meta"], "readonly").objectStore("meta").get("lock"))) ?? null,
+    saveLock: (lock) =>
+      idbTransaction(db, ["meta"], "readwrite", (tx) => (lock ? tx.objectStore("meta").put(lock, "lock") : tx.objectStore("meta").delete("lock"))),
+    clearAll: () =>
+      idbTransaction(db, ["meta", "entries"], "readwrite", (tx) => {
+        tx.objectStore("meta").clear();
+        tx.objectStore("entries").clear();
+      }),
+  };
+}
+
+// Fallback for browsers without IndexedDB: the original single localStorage blob
+function createLocalStorageAdapter(initial) {
+  let meta = {};
+  let entries = { ...(initial?.entries ?? {}) };
+  const write = async () => saveLS({ ...meta, entries });
+  return {
+    kind: "localstorage",
+    saveMeta: async (m) => {
+      meta = m;
+      return write();
+    },
+    putEntries: async (records) => {
+      entries = { ...entries, ...records };
+      return write();
+    },
+    deleteEntries: async (keys) => {
+      entries = { ...entries };
+      keys.forEach((k) => delete entries[k]);
+      return write();
+    },
+    load: async () => loadLSRaw(),
+    keepUnreadable: async (raw) => localStorage.setItem(LS_RECOVERY_KEY, raw),
+    loadUnreadable: async () => loadLSUnreadable(),
+    deleteUnreadable: async (ids) => ids.includes(LS_RECOVERY_KEY) && localStorage.removeItem(LS_RECOVERY_KEY),
+    loadSync: async () => readLSJSON(LS_SYNC_KEY),
+    saveSync: async (sync) => localStorage.setItem(LS_SYNC_KEY, JSON.stringify(sync)),
+    loadLock: async () => readLSJSON(LS_LOCK_KEY),
+    saveLock: async (lock) => (lock ? localStorage.setItem(LS_LOCK_KEY, JSON.stringify(lock)) : localStorage.removeItem(LS_LOCK_KEY)),
+    clearAll: async () => {
+      [LS_KEY, LS_RECOVERY_KEY, LS_SYNC_KEY, LS_LOCK_KEY].forEach((k) => localStorage.removeItem(k));
+      meta = {};
+      entries = {};
+    },
+  };
+}
+
+function readLSJSON(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? null;
+  } catch {
+    return null;
   }
+}
 
-  function importSettingsJSON(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const parsed = JSON.parse(e.target.result);
-        if (!parsed || typeof parsed !== "object") throw new Error("Bad JSON");
-        setSettings(parsed);
-        // Rebuild current record matrix shape to match new settings
-        setEntries((prev) => {
-          const rec = prev[key];
-          const matrix = {};
-          parsed.periods.forEach((p) => {
-            matrix[p.id] = {};
-            parsed.categories.forEach((c) => {
-              matrix[p.id][c.id] = null;
-            });
-          });
-          return { ...prev, [key]: { ...rec, matrix } };
-        });
-      } catch (err) {
-        alert("Invalid settings file");
-      }
-    };
-    reader.readAsText(file);
+// ---- Encryption ----
+// With a passcode set, everything the adapter writes is sealed with AES-GCM under a key
+// derived from the passcode (PBKDF2-SHA-256). Only the lock settings — salt, iteration
+// count and a sealed check value used to test a passcode — are stored in the clear.
+// Record keys (date__studentId) stay readable so records can still be saved one by one.
+const PBKDF2_ITERATIONS = 250000;
+const DEFAULT_LOCK_MINUTES = 5;
+const LOCK_CHECK = "behavior-rubric-lock";
+const ENCRYPTED_FILE_FORMAT = "behavior-rubric-encrypted";
+
+const toBase64 = (bytes) => {
+  let bin = "";
+  new Uint8Array(bytes).forEach((b) => (bin += String.fromCharCode(b)));
+  return btoa(bin);
+};
+const fromBase64 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+const randomBytes = (n) => crypto.getRandomValues(new Uint8Array(n));
+
+async function deriveKey(passcode, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passcode), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function seal(key, value) {
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { sealed: { iv: toBase64(iv), data: toBase64(data) } };
+}
+
+// Rejects with an OperationError when the key is wrong or the data was altered
+async function unseal(key, box) {
+  if (!box?.sealed) return box;
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(box.sealed.iv) }, key, fromBase64(box.sealed.data));
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// New lock settings for `passcode`; resolves to { lock, key }
+async function createLock(passcode, lockMinutes) {
+  const salt = randomBytes(16);
+  const key = await deriveKey(passcode, salt, PBKDF2_ITERATIONS);
+  const lock = { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, check: await seal(key, LOCK_CHECK), lockMinutes };
+  return { lock, key };
+}
+
+// The key for `passcode`, or null when it is the wrong passcode
+async function keyForLock(lock, passcode) {
+  const key = await deriveKey(passcode, fromBase64(lock.salt), lock.iterations);
+  try {
+    return (await unseal(key, lock.check)) === LOCK_CHECK ? key : null;
+  } catch {
+    return null;
   }
+}
 
-  // Students
-  function addStudent(name) {
-    const s = { id: uid(), name: name.trim() };
-    if (!s.name) return;
-    setStudents((prev) => [...prev, s]);
-    setStudentId(s.id);
+// Same interface as `inner`, sealing on the way in and unsealing on the way out
+function createSealedAdapter(inner, key) {
+  const sealEach = async (records) =>
+    Object.fromEntries(await Promise.all(Object.entries(records).map(async ([k, r]) => [k, await seal(key, r)])));
+  return {
+    ...inner,
+    sealed: true,
+    async load() {
+      const stored = await inner.load();
+      if (!stored) return null;
+      const entries = {};
+      await Promise.all(Object.entries(stored.entries).map(async ([k, r]) => (entries[k] = await unseal(key, r))));
+      return { meta: await unseal(key, stored.meta), entries };
+    },
+    saveMeta: async (meta) => inner.saveMeta(await seal(key, meta)),
+    putEntries: async (records) => inner.putEntries(await sealEach(records)),
+    keepUnreadable: async (raw) => inner.keepUnreadable(JSON.stringify(await seal(key, raw))),
+    // Copies kept before the passcode was set are still plain text
+    async loadUnreadable() {
+      const copies = await inner.loadUnreadable();
+      await Promise.all(
+        Object.entries(copies).map(async ([id, raw]) => {
+          try {
+            copies[id] = await unseal(key, JSON.parse(raw));
+          } catch {
+            // left as stored
+          }
+        })
+      );
+      return copies;
+    },
+    loadSync: async () => unseal(key, await inner.loadSync()),
+    saveSync: async (sync) => inner.saveSync(await seal(key, sync)),
+  };
+}
+
+// File contents sealed for download: { format, version, salt, iterations, sealed }
+async function encryptFile(file, key, salt, iterations) {
+  return JSON.stringify({ format: ENCRYPTED_FILE_FORMAT, version: 1, salt, iterations, ...(await seal(key, file)) });
+}
+// Resolves to { filename, type, content }, or null for a wrong passcode
+async function decryptFile(parsed, passcode) {
+  const key = await deriveKey(passcode, fromBase64(parsed.salt), parsed.iterations);
+  try {
+    return await unseal(key, parsed);
+  } catch {
+    return null;
   }
-  function renameStudent(id, newName) {
-    setStudents((prev) => prev.map((s) => (s.id === id ? { ...s, name: newName } : s)));
+}
+
+// Text of a picked file, decrypted first when it is an encrypted export.
+// Resolves to null when the passcode prompt is cancelled or the passcode is wrong.
+async function decryptedText(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return text;
   }
-  function removeStudent(id) {
-    if (!confirm("Remove this student? Their local records remain but will be hidden.")) return;
-    setStudents((prev) => prev.filter((s) => s.id !== id));
-    if (studentId === id) setStudentId(students[0]?.id);
+  if (parsed?.format !== ENCRYPTED_FILE_FORMAT) return text;
+  const passcode = prompt("This file is encrypted. Enter the passcode it was exported with:");
+  if (!passcode) return null;
+  const file = await decryptFile(parsed, passcode);
+  if (!file) alert("That passcode doesn't open this file.");
+  return file?.content ?? null;
+}
+
+// Initials for screens that might be projected or seen by others: "Seth Example" -> "S.E."
+const initialsOf = (name) =>
+  name.trim().split(/\s+/).filter(Boolean).map((w) => `${w[0].toUpperCase()}.`).join("") || "?";
+const displayName = (student, initialsOnly) => (!student ? "" : initialsOnly ? initialsOf(student.name) : student.name);
+
+// Open storage and read saved state. The first run on IndexedDB moves any data saved
+// by the localStorage version across, then removes the old key.
+// Resolves to { storage, base, lock: null, loaded, sync } where `loaded` has the same shape
+// as loadLS(), or to { locked: { base, lock } } when a passcode is needed first.
+// `base` is the unencrypted adapter; `storage` is what the app saves through.
+async function openStorage() {
+  let db;
+  try {
+    db = await openIndexedDB();
+  } catch {
+    const lock = readLSJSON(LS_LOCK_KEY);
+    if (lock) return { locked: { base: createLocalStorageAdapter(loadLSRaw()), lock } };
+    const loaded = loadLS();
+    const storage = createLocalStorageAdapter(loaded.state);
+    return { storage, base: storage, lock: null, loaded, sync: await storage.loadSync() };
   }
+  const storage = createIndexedDBAdapter(db);
+  const lock = await storage.loadLock();
+  if (lock) return { locked: { base: storage, lock } };
+  return { storage, base: storage, lock: null, loaded: await loadFromIndexedDB(storage), sync: await storage.loadSync() };
+}
 
-  // Settings editors
-  function addCategory() {
-    setSettings((prev) => ({ ...prev, categories: [...prev.categories, { id: uid(), name: "New Category" }] }));
+// Resolves like openStorage() once the passcode is right, or to null when it's wrong
+async function unlockStorage(base, lock, passcode) {
+  const key = await keyForLock(lock, passcode);
+  if (!key) return null;
+  const storage = createSealedAdapter(base, key);
+  return { storage, base, lock, key, loaded: await readStored(storage), sync: await storage.loadSync() };
+}
+
+async function loadFromIndexedDB(storage) {
+  const stored = await storage.load();
+  if (!stored) {
+    const loaded = loadLS();
+    if (loaded.state) {
+      const { entries, ...meta } = loaded.state;
+      await storage.putEntries(entries);
+      await storage.saveMeta({ ...meta, schemaVersion: SCHEMA_VERSION });
+      localStorage.removeItem(LS_KEY);
+    }
+    return loaded;
   }
-  function addPeriod() {
-    setSettings((prev) => ({ ...prev, periods: [...prev.periods, { id: uid(), name: "New Period" }] }));
+  return readStored(storage, stored);
+}
+
+// Migrate and validate what an adapter has saved; failures are set aside via keepUnreadable
+async function readStored(storage, stored) {
+  stored ??= await storage.load();
+  if (!stored) return { state: null };
+  const result = migrateAndValidate({ ...stored.meta, entries: stored.entries });
+  if (result.errors) {
+    const raw = JSON.stringify({ ...stored.meta, entries: stored.entries });
+    await storage.keepUnreadable(raw);
+    return { state: null, errors: result.errors, raw };
   }
+  return { state: result.data };
+}
 
-  // When settings change, ensure current record matrix includes all keys
-  useEffect(() => {
-    setEntries((prev) => {
-      const rec = prev[key];
-      if (!rec) return prev;
-      const nextMatrix = { ...rec.matrix };
-      settings.periods.forEach((p) => {
-        if (!nextMatrix[p.id]) nextMatrix[p.id] = {};
-        settings.categories.forEach((c) => {
-          if (!(c.id in nextMatrix[p.id])) nextMatrix[p.id][c.id] = null;
-        });
-      });
-      return { ...prev, [key]: { ...rec, matrix: nextMatrix } };
-    });
-  }, [settings.periods, settings.categories, key]);
+const isQuotaError = (err) =>
+  err?.name === "QuotaExceededError" || err?.name === "NS_ERROR_DOM_QUOTA_REACHED" || err?.code === 22;
 
-  // UI helpers
-  const scaleOptions = Array.from({ length: settings.scaleMax + 1 }, (_, i) => i);
+const SAVE_DEBOUNCE_MS = 400;
 
-  return (
-    <div className="min-h-screen bg-gray-50 text-gray-900">
-      {/* Header */}
-      <header className="sticky top-0 z-10 bg-white/90 backdrop-blur border-b">
-        <div className="mx-auto max-w-7xl px-4 py-3 flex items-center gap-3">
-          <div className="flex-1">
-            <h1 className="text-2xl font-bold">Behavior Rubric — Daily Tracker</h1>
-            <p className="text-xs text-gray-500">Data stays in your browser. Export CSV to share. Print for a parent report.</p>
-          </div>
+// ---- Sync ----
+// Changes travel as small "ops" (see behavior_rubric_sync_server.mjs): one per student,
+// one for the shared settings, and one per record field, with matrix cells and comments
+// as separate fields so two people scoring different cells of the same day both win.
+// Ops are derived by diffing state, so every way of editing data is covered.
+const SYNC_INTERVAL_MS = 15000;
+const SYNC_PUSH_DELAY_MS = 1500;
+// Record fields that sync as one value instead of per nested key
+const SYNC_ATOMIC_FIELDS = new Set(["rubric"]);
+// Record fields that differ per device and never sync
+const SYNC_LOCAL_FIELDS = new Set(["id"]);
 
-          {/* Date */}
-          <label className="text-sm flex items-center gap-2">
-            <span className="hidden sm:inline">Date</span>
-            <input
-              type="date"
-              className="rounded-lg border px-2 py-1"
-              value={date}
-              onChange={(e) => setDate(e.target.value)}
-            />
-          </label>
+const newSyncState = () => ({
+  enabled: false,
+  url: "",
+  token: "",
+  deviceId: `${uid()}${uid()}`,
+  joined: false, // true once this device's data has been merged with the server's
+  cursor: 0, // last change-log seq applied here
+  queue: [], // ops not yet accepted by the server
+  lastSyncAt: null,
+});
+
+const opTarget = (op) => JSON.stringify([op.kind, op.key, op.path ?? []]);
+
+function setIn(obj, path, value) {
+  if (path.length === 0) return value;
+  const [head, ...rest] = path;
+  const base = obj && typeof obj === "object" ? obj : {};
+  return { ...base, [head]: setIn(base[head], rest, value) };
+}
+function deleteIn(obj, path) {
+  if (!obj || typeof obj !== "object") return obj;
+  const [head, ...rest] = path;
+  if (rest.length === 0) {
+    const { [head]: _removed, ...kept } = obj;
+    return kept;
+  }
+  return { ...obj, [head]: deleteIn(obj[head], rest) };
+}
+
+// Map of JSON(path) -> value for every synced leaf of a record
+function syncLeaves(record) {
+  const out = new Map();
+  const walk = (v, path) => {
+    const atomic = path.length === 1 && SYNC_ATOMIC_FIELDS.has(path[0]);
+    if (v && typeof v === "object" && !Array.isArray(v) && !atomic) {
+      Object.entries(v).forEach(([k, x]) => walk(x, [...path, k]));
+    } else if (v !== undefined) {
+      out.set(JSON.stringify(path), v);
+    }
+  };
+  Object.entries(record ?? {}).forEach(([k, v]) => {
+    if (SYNC_LOCAL_FIELDS.has(k)) return;
+    // History goes entry by entry, so two devices' entries add up instead of replacing each other
+    if (k === "history" && Array.isArray(v)) return v.forEach((h) => out.set(JSON.stringify([k, historyId(h)]), h));
+    walk(v, [k]);
+  });
+  return out;
+}
+
+// The server keeps history entries keyed by id; records read from it get their list back
+const fromServerRecord = (r) =>
+  r?.history && !Array.isArray(r.history) ? { ...r, history: mergeHistory([], Object.values(r.history)) } : r;
+
+// True once someone has entered something on a record, not just opened the day
+const writtenTo = (record) => Boolean(record) && (recordHasData(record) || Boolean(record.staff) || (record.history?.length ?? 0) > 0);
+
+// Ops that turn `base` ({ students, settings, entries }) into `next`
+function diffForSync(base, next, device) {
+  const ts = Date.now();
+  const ops = [];
+  const op = (kind, key, path, value, deleted) =>
+    ops.push({ id: `${device}-${uid()}${uid()}`, device, ts, kind, key, path, ...(deleted ? { deleted: true } : { value }) });
+
+  if (base.students !== next.students) {
+    const before = new Map(base.students.map((s) => [s.id, s]));
+    next.students.forEach((s) => {
+      if (JSON.stringify(before.get(s.id)) !== JSON.stringify(s)) op("student", s.id, [], s);
+      before.delete(s.id);
+    });
+    before.forEach((_, id) => op("student", id, [], null, true));
+  }
+  if (base.settings !== next.settings && JSON.stringify(base.settings) !== JSON.stringify(next.settings)) {
+    op("settings", "shared", [], next.settings);
+  }
+  if (base.entries !== next.entries) {
+    new Set([...Object.keys(base.entries), ...Object.keys(next.entries)]).forEach((k) => {
+      const a = base.entries[k];
+      const b = next.entries[k];
+      if (a === b) return;
+      if (!b) return op("entry", k, [], null, true);
+      // A day that was only opened sends nothing, and a field sends null only to clear a
+      // value it really had. Otherwise a device that merely viewed a day while offline
+      // would blank out scores written elsewhere in the meantime.
+      if (!writtenTo(a) && !writtenTo(b)) return;
+      const la = writtenTo(a) ? syncLeaves(a) : new Map();
+      const lb = syncLeaves(b);
+      const blank = (v) => v === null || v === undefined || v === "";
+      lb.forEach((v, p) => {
+        const prev = la.get(p);
+        if (!(blank(v) && blank(prev)) && JSON.stringify(prev ?? null) !== JSON.stringify(v)) op("entry", k, JSON.parse(p), v);
+      });
+      // History entries are never taken back, not even by a restore
+      la.forEach((v, p) => !lb.has(p) && !blank(v) && JSON.parse(p)[0] !== "history" && op("entry", k, JSON.parse(p), null, true));
+    });
+  }
+  return ops;
+}
+
+// Apply ops (local or from the server) to { students, settings, entries }
+function applySyncOps(state, ops) {
+  let { students, settings, entries } = state;
+  ops.forEach((o) => {
+    if (o.kind === "student") {
+      const i = students.findIndex((s) => s.id === o.key);
+      if (o.deleted) students = students.filter((s) => s.id !== o.key);
+      else students = i >= 0 ? students.map((s, j) => (j === i ? o.value : s)) : [...students, o.value];
+    } else if (o.kind === "settings") {
+      if (o.value) settings = o.value;
+    } else if (o.kind === "entry") {
+      const path = o.path ?? [];
+      if (path.length === 0) {
+        if (o.deleted && entries[o.key]) {
+          entries = { ...entries };
+          delete entries[o.key];
+        }
+        return;
+      }
+      const rec = entries[o.key] ?? { id: uid() };
+      if (path[0] === "history") {
+        // Entries are only ever added
+        if (!o.deleted && path.length === 2) entries = { ...entries, [o.key]: { ...rec, history: mergeHistory(rec.history, [o.value]) } };
+        return;
+      }
+      entries = { ...entries, [o.key]: o.deleted ? deleteIn(rec, path) : setIn(rec, path, o.value) };
+    }
+  });
+  return { students, settings, entries };
+}
+
+// Keep only the newest queued op per target so offline typing doesn't pile up
+function enqueueOps(queue, ops) {
+  const targets = new Set(ops.map(opTarget));
+  return [...queue.filter((o) => !targets.has(opTarget(o))), ...ops];
+}
+
+async function syncFetch(sync, method, path, body) {
+  const res = await fetch(`${sync.url.replace(/\/+$/, "")}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(sync.token ? { Authorization: `Bearer ${sync.token}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(res.status === 401 ? "server rejected the access token" : `server replied ${res.status}`);
+  return res.json();
+}
+
+// Sync state and actions for the app. `data` is { students, settings, entries } and
+// `setData` replaces all three after server changes are applied.
+function useSync({ storage, initialSync, data, setData }) {
+  const [sync, setSyncState] = useState(() => ({ ...newSyncState(), ...initialSync }));
+  const [status, setStatus] = useState({ state: "idle", message: "" });
+  const syncRef = useRef(sync);
+  const dataRef = useRef(data);
+  dataRef.current = data;
+  // The state every queued op is relative to; remote changes are folded in here too so
+  // they aren't sent back to the server as local edits.
+  const baseRef = useRef(data);
+  const runningRef = useRef(false);
+
+  function setSync(update) {
+    syncRef.current = typeof update === "function" ? update(syncRef.current) : update;
+    setSyncState(syncRef.current);
+  }
+
+  useEffect(() => {
+    storage.saveSync(sync).catch(() => {});
+  }, [sync, storage]);
+
+  // Queue local edits as ops
+  useEffect(() => {
+    const base = baseRef.current;
+    baseRef.current = data;
+    if (!syncRef.current.enabled || !syncRef.current.joined) return;
+    const ops = diffForSync(base, data, syncRef.current.deviceId);
+    if (ops.length) setSync((s) => ({ ...s, queue: enqueueOps(s.queue, ops) }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [data.students, data.settings, data.entries]);
+
+  function applyRemote(ops) {
+    if (!ops.length) return;
+    const next = applySyncOps(dataRef.current, ops);
+    baseRef.current = next;
+    dataRef.current = next;
+    setData(next);
+  }
+
+  // First contact: server data wins where both sides have a value; anything only this
+  // device has is queued for upload.
+  async function join(s) {
+    const [{ seq, students }, { settings }, { entries: serverEntries }] = await Promise.all([
+      syncFetch(s, "GET", "/api/students"),
+      syncFetch(s, "GET", "/api/settings"),
+      syncFetch(s, "GET", "/api/entries"),
+    ]);
+    const entries = Object.fromEntries(Object.entries(serverEntries).map(([k, r]) => [k, fromServerRecord(r)]));
+    const server = { students, settings: settings ?? dataRef.current.settings, entries };
+    const serverLeaves = new Map(Object.entries(entries).map(([k, r]) => [k, syncLeaves(r)]));
+    const localOnly = diffForSync(server, dataRef.current, s.deviceId).filter((o) => {
+      if (o.deleted) return false;
+      if (o.kind === "student") return !students.some((x) => x.id === o.key);
+      if (o.kind === "settings") return !settings;
+      return !serverLeaves.get(o.key)?.has(JSON.stringify(o.path));
+    });
+    const merged = applySyncOps(server, localOnly);
+    baseRef.current = merged;
+    dataRef.current = merged;
+    setData(merged);
+    setSync((x) => ({ ...x, joined: true, cursor: seq, queue: enqueueOps([], localOnly) }));
+  }
+
+  async function syncNow() {
+    const s = syncRef.current;
+    if (!s.enabled || !s.url || runningRef.current) return;
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      setStatus({ state: "offline", message: "Offline — changes are queued" });
+      return;
+    }
+    runningRef.current = true;
+    setStatus({ state: "syncing", message: "Syncing…" });
+    try {
+      if (!s.joined) await join(s);
+      const queue = syncRef.current.queue;
+      if (queue.length) {
+        const res = await syncFetch(syncRef.current, "POST", "/api/changes", { ops: queue });
+        const sent = new Set(queue.map((o) => o.id));
+        setSync((x) => ({ ...x, queue: x.queue.filter((o) => !sent.has(o.id)) }));
+        // Our change lost to a newer one: take the server's value
+        applyRemote(res.rejected.map((r) => r.current).filter(Boolean));
+      }
+      const { seq, ops } = await syncFetch(syncRef.current, "GET", `/api/changes?since=${syncRef.current.cursor}`);
+      const pending = new Set(syncRef.current.queue.map(opTarget));
+      applyRemote(ops.filter((o) => o.device !== syncRef.current.deviceId && !pending.has(opTarget(o))));
+      setSync((x) => ({ ...x, cursor: seq, lastSyncAt: new Date().toISOString() }));
+      setStatus({ state: "ok", message: "Synced" });
+    } catch (err) {
+      setStatus({ state: "error", message: `Sync failed: ${err.message}` });
+    } finally {
+      runningRef.current = false;
+    }
+  }
+
+  // Periodic sync, on reconnect, and shortly after local edits
+  useEffect(() => {
+    if (!sync.enabled) return;
+    syncNow();
+    const t = setInterval(syncNow, SYNC_INTERVAL_MS);
+    window.addEventListener("online", syncNow);
+    return () => {
+      clearInterval(t);
+      window.removeEventListener("online", syncNow);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sync.enabled, sync.url, sync.token]);
+  useEffect(() => {
+    if (!sync.enabled || sync.queue.length === 0) return;
+    const t = setTimeout(syncNow, SYNC_PUSH_DELAY_MS);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sync.queue]);
+
+  function configure({ url, token }) {
+    // A different server means starting over with a fresh merge
+    setSync((s) => ({ ...s, url, token, ...(url !== s.url ? { joined: false, cursor: 0, queue: [] } : {}) }));
+  }
+  function setEnabled(enabled) {
+    setSync((s) => ({ ...s, enabled, ...(enabled ? {} : { joined: false, cursor: 0, queue: [] }) }));
+    setStatus({ state: "idle", message: enabled ? "" : "Sync off" });
+  }
+
+  return { sync, status, syncNow, configure, setEnabled };
+}
+
+// ---- Default Config ----
+const DEFAULT_SETTINGS = {
+  scaleMax: 3,
+  scaleLabels: {
+    0: "Not Met",
+    1: "Emerging",
+    2: "Meets",
+    3: "Exceeds",
+  },
+  categories: [
+    { id: uid(), name: "Be Respectful" },
+    { id: uid(), name: "Be Responsible" },
+    { id: uid(), name: "Be Safe" },
+    { id: uid(), name: "On Task" },
+  ],
+  periods: [
+    { id: uid(), name: "Arrival" },
+    { id: uid(), name: "Morning Block" },
+    { id: uid(), name: "Lunch/Recess" },
+    { id: uid(), name: "Afternoon Block" },
+    { id: uid(), name: "Dismissal" },
+  ],
+  goalPoints: 24,
+  periodMode: "named", // "named" | "schedule" | "interval"
+};
+
+// ---- Rubric Versions ----
+// The parts of settings that define how a day is labeled and totaled. Every record
+// keeps its own copy so later edits to settings don't rewrite past days.
+const RUBRIC_FIELDS = ["scaleMax", "scaleLabels", "categories", "periods", "goalPoints", "goalRules"];
+
+function snapshotRubric(settings) {
+  const snap = {};
+  RUBRIC_FIELDS.forEach((f) => (snap[f] = settings[f]));
+  return JSON.parse(JSON.stringify(snap));
+}
+
+function sameRubric(a, b) {
+  return JSON.stringify(snapshotRubric(a)) === JSON.stringify(snapshotRubric(b));
+}
+
+// Records saved before snapshots existed fall back to the live settings
+const rubricOf = (record, settings) => record?.rubric ?? settings;
+
+// A student's own rubric if they have one, else the shared template
+const settingsFor = (student, sharedSettings) => student?.settings ?? sharedSettings;
+
+// Blank record for (date, student) scored under `settings`
+function makeRecord(studentId, date, settings) {
+  const matrix = {};
+  settings.periods.forEach((p) => {
+    matrix[p.id] = {};
+    settings.categories.forEach((c) => (matrix[p.id][c.id] = null));
+  });
+  return {
+    id: uid(),
+    studentId,
+    date,
+    rubric: snapshotRubric(settings),
+    matrix, // periodId -> categoryId -> score (0..scaleMax or null)
+    periodStatus: {}, // periodId -> status key (CELL_STATUSES) for the whole period
+    cellStatus: {}, // periodId -> categoryId -> status key
+    cellTimes: {}, // periodId -> categoryId -> ISO time the score was entered
+    tallies: {}, // periodId -> categoryId -> event count (tally categories)
+    durations: {}, // periodId -> categoryId -> seconds (duration categories)
+    timers: {}, // periodId -> categoryId -> ISO start of a running timer, or null
+    periodComments: {}, // periodId -> string
+    dailyNote: "",
+    staff: "",
+  };
+}
+
+// Fill in any period/category keys the record's rubric has but its matrix lacks
+function withMatrixShape(rec, rubric) {
+  let changed = false;
+  const matrix = { ...rec.matrix };
+  rubric.periods.forEach((p) => {
+    const row = { ...(matrix[p.id] ?? {}) };
+    rubric.categories.forEach((c) => {
+      if (!(c.id in row)) {
+        row[c.id] = null;
+        changed = true;
+      }
+    });
+    if (!matrix[p.id]) changed = true;
+    matrix[p.id] = row;
+  });
+  return changed ? { ...rec, matrix } : rec;
+}
+
+// Set one score cell (null clears it), stamping when it was entered. A score replaces any
+// status the cell had.
+function withScore(rec, periodId, categoryId, score) {
+  return {
+    ...rec,
+    cellStatus: rec.cellStatus?.[periodId]?.[categoryId]
+      ? { ...rec.cellStatus, [periodId]: { ...rec.cellStatus[periodId], [categoryId]: null } }
+      : rec.cellStatus,
+    matrix: { ...rec.matrix, [periodId]: { ...rec.matrix[periodId], [categoryId]: score } },
+    cellTimes: {
+      ...rec.cellTimes,
+      [periodId]: { ...rec.cellTimes?.[periodId], [categoryId]: score === null ? null : new Date().toISOString() },
+    },
+  };
+}
+
+// ---- Rubric Templates ----
+// A template is a named rubric: scale, categories, periods and goals. Applying one replaces
+// those parts of a student's or the shared settings and leaves tokens and the school
+// calendar alone. Presets ship with the app; saved templates are kept with the meta.
+const TEMPLATE_FORMAT = "behavior-rubric-template";
+const TEMPLATE_FIELDS = [...RUBRIC_FIELDS, "periodMode", "interval"];
+
+// Fixed ids, so applying a preset again keeps scores attached to the same rows and columns
+const presetItems = (prefix, items) =>
+  items.map((item, i) => ({ id: `${prefix}-${i + 1}`, ...(typeof item === "string" ? { name: item } : item) }));
+
+const RUBRIC_PRESETS = [
+  {
+    id: "preset:pbis",
+    name: "PBIS expectations",
+    description: "School-wide expectations scored 0–3 through the main parts of the day.",
+    settings: {
+      scaleMax: 3,
+      scaleLabels: { 0: "Not Met", 1: "Emerging", 2: "Meets", 3: "Exceeds" },
+      categories: presetItems("pbis-c", ["Be Respectful", "Be Responsible", "Be Safe"]),
+      periods: presetItems("pbis-p", ["Arrival", "Morning Block", "Lunch/Recess", "Afternoon Block", "Dismissal"]),
+      goalPoints: 36, // 80% of 45
+      periodMode: "named",
+    },
+  },
+  {
+    id: "preset:cico",
+    name: "CICO daily progress report",
+    description: "Check-in/check-out point card: three expectations scored 0–2 in each class, 80% goal.",
+    settings: {
+      scaleMax: 2,
+      scaleLabels: { 0: "Not yet", 1: "So-so", 2: "Great" },
+      categories: presetItems("cico-c", ["Be Safe", "Be Respectful", "Be Ready to Learn"]),
+      periods: presetItems("cico-p", ["Morning Meeting", "Reading", "Writing", "Math", "Lunch/Recess", "Specials", "Science/Social Studies"]),
+      goalPoints: 34, // 80% of 42
+      periodMode: "named",
+    },
+  },
+  {
+    id: "preset:five-point",
+    name: "1–5 rating scale",
+    description: "Four classroom behaviors rated 1 (poor) to 5 (excellent) in the morning, midday and afternoon; 0 when not shown at all.",
+    settings: {
+      scaleMax: 5,
+      scaleLabels: { 0: "Not shown", 1: "Poor", 2: "Fair", 3: "Good", 4: "Very good", 5: "Excellent" },
+      categories: presetItems("five-c", ["Follows Directions", "On Task", "Respects Others", "Uses Materials Well"]),
+      periods: presetItems("five-p", ["Morning", "Midday", "Afternoon"]),
+      goalPoints: 48, // 80% of 60
+      periodMode: "named",
+    },
+  },
+  {
+    id: "preset:middle-school",
+    name: "Middle school 7-period day",
+    description: "Scheduled class periods with lunch left out; prepared, on task, respectful and work completed, scored 0–2.",
+    settings: {
+      scaleMax: 2,
+      scaleLabels: { 0: "No", 1: "Partly", 2: "Yes" },
+      categories: presetItems("ms-c", ["Prepared", "On Task", "Respectful", "Completes Work"]),
+      periods: presetItems("ms-p", [
+        { name: "Period 1", start: "08:00", end: "08:50" },
+        { name: "Period 2", start: "08:55", end: "09:45" },
+        { name: "Period 3", start: "09:50", end: "10:40" },
+        { name: "Period 4", start: "10:45", end: "11:35" },
+        { name: "Period 5", start: "12:15", end: "13:05" },
+        { name: "Period 6", start: "13:10", end: "14:00" },
+        { name: "Period 7", start: "14:05", end: "14:55" },
+      ]),
+      goalPoints: 45, // 80% of 56
+      periodMode: "schedule",
+    },
+  },
+];
+
+// The template part of `settings`, copied
+function templateSettings(settings) {
+  const t = {};
+  TEMPLATE_FIELDS.forEach((f) => {
+    if (settings[f] !== undefined) t[f] = settings[f];
+  });
+  return JSON.parse(JSON.stringify(t));
+}
+
+// `settings` with the template's rubric in place of its own
+function applyTemplate(settings, template) {
+  const next = { ...settings };
+  TEMPLATE_FIELDS.forEach((f) => delete next[f]);
+  return { ...next, ...templateSettings(template.settings) };
+}
+
+// Shared template files carry just the template, without ids tied to this device
+function templateFile(template) {
+  return {
+    format: TEMPLATE_FORMAT,
+    version: 1,
+    name: template.name,
+    description: template.description ?? "",
+    settings: templateSettings(template.settings),
+  };
+}
+
+// Returns { template } ready to save, or { errors }
+function readTemplateFile(parsed) {
+  if (parsed?.format !== TEMPLATE_FORMAT) return { errors: ["not a Behavior Rubric template"] };
+  const template = {
+    id: uid(),
+    name: String(parsed.name || "Imported template"),
+    description: typeof parsed.description === "string" ? parsed.description : "",
+    savedAt: new Date().toISOString(),
+    settings: templateSettings(parsed.settings ?? {}),
+  };
+  const errors = validateShape(template, TEMPLATE_SHAPE, "template");
+  return errors.length ? { errors } : { template };
+}
+
+// ---- Period Schedules ----
+// Periods are "named" (no times), "schedule" (each period has start/end) or "interval"
+// (a generated grid). Generated ids come from the times, so regenerating the same grid
+// keeps scores attached to the same slots.
+const DEFAULT_INTERVAL = { start: "08:00", end: "15:00", minutes: 30 };
+
+function generateIntervalPeriods({ start, end, minutes }) {
+  const periods = [];
+  const step = clamp(parseInt(minutes, 10) || 30, 5, 240);
+  for (let t = toMinutes(start); t + step <= toMinutes(end); t += step) {
+    const a = fromMinutes(t);
+    const b = fromMinutes(t + step);
+    periods.push({ id: `iv-${a.replace(":", "")}-${b.replace(":", "")}`, name: `${formatTime(a)}–${formatTime(b)}`, start: a, end: b });
+  }
+  return periods;
+}
+
+// Id of the period whose [start, end) contains `now`, if any
+function currentPeriodId(periods, now) {
+  const m = now.getHours() * 60 + now.getMinutes();
+  return periods.find((p) => p.start && p.end && toMinutes(p.start) <= m && m < toMinutes(p.end))?.id ?? null;
+}
+
+// Re-renders every `ms` so clock-based UI stays current
+function useNow(ms) {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const t = setInterval(() => setNow(new Date()), ms);
+    return () => clearInterval(t);
+  }, [ms]);
+  return now;
+}
+
+// ---- Scoring ----
+// Category types. Only "rubric" categories (0..scaleMax) count toward points, percent
+// and the goal; "tally" counts events and "duration" times behavior with a start/stop
+// timer, and both are summarized on their own.
+const CATEGORY_TYPES = {
+  rubric: "Rubric score",
+  tally: "Tally (count)",
+  duration: "Duration (timer)",
+};
+const categoryType = (c) => c.type ?? "rubric";
+const isScored = (c) => categoryType(c) === "rubric";
+
+// Weighted scoring. A cell is worth score × category weight × period weight; reverse-scored
+// categories (lower is better) count scaleMax − score; categories marked excludeFromTotal
+// are still scored and shown but add nothing to points, percent or the goal.
+const weightOf = (x) => x?.weight ?? 1;
+const countsToTotal = (c) => isScored(c) && !c.excludeFromTotal;
+const effectiveScore = (c, v, scaleMax) => (c.reverse ? scaleMax - v : v);
+// Goal and bonus minimums read "at least" normally and "at most" for reverse-scored categories
+const meetsMin = (c, v, min) => v !== null && v !== undefined && (c?.reverse ? v <= min : v >= min);
+const isPlainScoring = (rubric) =>
+  rubric.categories.every((c) => weightOf(c) === 1 && !c.excludeFromTotal && !c.reverse) &&
+  rubric.periods.every((p) => weightOf(p) === 1);
+
+// Short note under a category heading: "×2 · reversed · not in total"
+const scoringNote = (c) =>
+  isScored(c)
+    ? [weightOf(c) !== 1 && `×${weightOf(c)}`, c.reverse && "reversed", c.excludeFromTotal && "not in total"].filter(Boolean).join(" · ")
+    : "";
+
+// The calculation in words, for the summary card, report and CSV readers. Blank cells
+// count toward the maximum; only cells with a status (absent, N/A…) are left out.
+function describeFormula(rubric) {
+  if (isPlainScoring(rubric)) return `Sum of scores ÷ (${rubric.scaleMax} × cells without a status, blank ones included)`;
+  const scored = rubric.categories.filter(isScored);
+  const parts = [
+    ...scored.filter((c) => c.excludeFromTotal).map((c) => `${c.name} not counted`),
+    ...scored.filter((c) => countsToTotal(c) && weightOf(c) !== 1).map((c) => `${c.name} ×${weightOf(c)}`),
+    ...scored.filter((c) => countsToTotal(c) && c.reverse).map((c) => `${c.name} reversed (${rubric.scaleMax} − score)`),
+    ...rubric.periods.filter((p) => weightOf(p) !== 1).map((p) => `${p.name} ×${weightOf(p)}`),
+  ];
+  return `Sum of score × category weight × period weight ÷ the same with ${rubric.scaleMax} in every cell without a status; ${parts.join("; ")}`;
+}
+
+// Count, or seconds for durations. Pass `now` to include a running timer's elapsed time.
+function measureValue(record, periodId, c, now = null) {
+  if (categoryType(c) === "tally") return record?.tallies?.[periodId]?.[c.id] ?? 0;
+  const startedAt = record?.timers?.[periodId]?.[c.id];
+  const running = now && startedAt ? Math.max(0, (now.getTime() - Date.parse(startedAt)) / 1000) : 0;
+  return (record?.durations?.[periodId]?.[c.id] ?? 0) + running;
+}
+
+// Daily totals for each tally/duration category
+function computeMeasures(record, rubric, now = null) {
+  return rubric.categories.filter((c) => !isScored(c)).map((c) => {
+    const perPeriod = {};
+    let total = 0;
+    rubric.periods.forEach((p) => {
+      perPeriod[p.id] = measureValue(record, p.id, c, now);
+      total += perPeriod[p.id];
+    });
+    return { category: c, type: categoryType(c), total, perPeriod };
+  });
+}
+
+const formatDuration = (sec) => {
+  const s = Math.floor(sec);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+const formatMeasure = (m) => (m.type === "tally" ? `${m.total}` : `${round1(m.total / 60)} min`);
+
+// Cell statuses, kept apart from a score of 0. A cell with a status has no score and is
+// left out of points, percent and the goal. A period status covers every cell in the period.
+const CELL_STATUSES = {
+  absent: { code: "ABS", label: "Absent" },
+  notObserved: { code: "NO", label: "Not observed" },
+  excused: { code: "EXC", label: "Excused" },
+  na: { code: "N/A", label: "N/A" },
+};
+const statusOf = (record, periodId, categoryId) =>
+  record?.periodStatus?.[periodId] ?? record?.cellStatus?.[periodId]?.[categoryId] ?? null;
+const statusCode = (status) => CELL_STATUSES[status]?.code ?? "";
+
+// Totals for one record, weighted (see describeFormula). `scored` counts filled cells so
+// callers can skip blank days. goalPoints is set against the unweighted maximum (every
+// counted cell at scaleMax), so `goalTarget` is the same share of the weighted points still
+// counted: with a quarter of the day absent, three quarters of it (rounded up).
+function computeTotals(record, rubric) {
+  let total = 0;
+  let max = 0;
+  let plainMax = 0;
+  let scored = 0;
+  let excluded = 0;
+  const per = {};
+  rubric.periods.forEach((p) => {
+    let t = 0;
+    let m = 0;
+    rubric.categories.filter(isScored).forEach((c) => {
+      const w = countsToTotal(c) ? weightOf(c) * weightOf(p) : 0;
+      if (countsToTotal(c)) plainMax += rubric.scaleMax;
+      if (statusOf(record, p.id, c.id)) {
+        excluded += 1;
+        return;
+      }
+      const val = record?.matrix?.[p.id]?.[c.id];
+      if (val !== null && val !== undefined) {
+        t += w * effectiveScore(c, val, rubric.scaleMax);
+        scored += 1;
+      }
+      m += w * rubric.scaleMax;
+    });
+    per[p.id] = { total: round1(t), max: round1(m) };
+    total += t;
+    max += m;
+  });
+  const goalTarget = plainMax > 0 ? Math.ceil((rubric.goalPoints * max) / plainMax) : 0;
+  total = round1(total);
+  max = round1(max);
+  return {
+    totalPoints: total,
+    maxPoints: max,
+    percent: max > 0 ? Math.round((total / max) * 100) : 0,
+    perPeriodTotals: per,
+    goalTarget,
+    goalMet: max > 0 && total >= goalTarget,
+    excluded,
+    scored,
+    plainMax,
+  };
+}
+
+// ---- Goal Rules ----
+// Optional targets on top of goalPoints, each in a tier. Period-based rules hold in at least
+// `count` periods (0 = every period); periods or cells with a status don't count toward M.
+// A tier is reached when its rules and every lower tier's rules are met.
+const GOAL_TIERS = { bronze: "🥉 Bronze", silver: "🥈 Silver", gold: "🥇 Gold" };
+const GOAL_RULE_TYPES = {
+  dailyPercent: "Daily % at least",
+  periodPercent: "Period % at least",
+  periodPoints: "Period points at least",
+  categoryMin: "Category score at least",
+};
+
+function describeGoalRule(rule, rubric) {
+  const where = rule.count > 0 ? `in ${rule.count} of ${rubric.periods.length} periods` : "every period";
+  if (rule.type === "dailyPercent") return `daily ≥ ${rule.min}%`;
+  if (rule.type === "periodPercent") return `≥ ${rule.min}% ${where}`;
+  if (rule.type === "periodPoints") return `≥ ${rule.min} pts ${where}`;
+  const c = rubric.categories.find((x) => x.id === rule.categoryId);
+  return `${c?.name ?? "(removed category)"} ${c?.reverse ? "≤" : "≥"} ${rule.min} ${where}`;
+}
+
+// true / false, or null when the period (or the rule's cell) has a status and is skipped
+function periodMeetsRule(rule, record, rubric, periodId, perPeriodTotals) {
+  const { total, max } = perPeriodTotals[periodId];
+  if (rule.type === "periodPercent") return max > 0 ? (total / max) * 100 >= rule.min : null;
+  if (rule.type === "periodPoints") return max > 0 ? total >= rule.min : null;
+  if (statusOf(record, periodId, rule.categoryId)) return null;
+  const c = rubric.categories.find((x) => x.id === rule.categoryId);
+  return meetsMin(c, record?.matrix?.[periodId]?.[rule.categoryId], rule.min);
+}
+
+// { rules: [{ rule, met, detail, perPeriod? }], tier } for one record under its rubric
+function evaluateGoals(record, rubric, totals = computeTotals(record, rubric)) {
+  const periods = rubric.periods;
+  const rules = (rubric.goalRules ?? []).map((rule) => {
+    if (rule.type === "dailyPercent") return { rule, met: totals.percent >= rule.min, detail: `${totals.percent}%` };
+    if (rule.type === "categoryMin" && !rubric.categories.some((c) => c.id === rule.categoryId && isScored(c))) {
+      return { rule, met: false, detail: "category not in rubric" };
+    }
+    const perPeriod = {};
+    periods.forEach((p) => (perPeriod[p.id] = periodMeetsRule(rule, record, rubric, p.id, totals.perPeriodTotals)));
+    const counted = Object.values(perPeriod).filter((v) => v !== null).length;
+    const hits = Object.values(perPeriod).filter(Boolean).length;
+    const need = rule.count > 0 ? Math.min(rule.count, counted) : counted;
+    return { rule, met: counted > 0 && hits >= need, perPeriod, detail: `${hits} of ${counted} periods` };
+  });
+  let tier = null;
+  for (const t of Object.keys(GOAL_TIERS)) {
+    const inTier = rules.filter((r) => (r.rule.tier ?? "bronze") === t);
+    if (inTier.length === 0) continue;
+    if (!inTier.every((r) => r.met)) break;
+    tier = t;
+  }
+  return { rules, tier };
+}
+
+// "Safe all day (Gold): Met; 4 of 5 blocks (Silver): Not met" for CSV cells
+const goalRulesText = (goals) =>
+  goals.rules.map((r) => `${r.rule.name} (${GOAL_TIERS[r.rule.tier ?? "bronze"].split(" ")[1]}): ${r.met ? "Met" : "Not met"}`).join("; ");
+
+// All records for a student within [from, to], oldest first
+function recordsInRange(entries, studentId, from, to) {
+  return Object.values(entries)
+    .filter((r) => r && r.studentId === studentId && r.date >= from && r.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ---- Check-in / Check-out ----
+// CICO students start the day with a mentor (mood, materials, a point goal) and end it by
+// reviewing the total against that goal, with feedback and a note home. It is switched on
+// per student (`student.cico`); each day's answers are in `record.cico`.
+const CICO_MOODS = {
+  great: { icon: "😀", label: "Great" },
+  good: { icon: "🙂", label: "Good" },
+  okay: { icon: "😐", label: "Okay" },
+  low: { icon: "🙁", label: "Low" },
+  upset: { icon: "😣", label: "Upset" },
+};
+const CICO_FIELDS = {
+  mentor: "Mentor",
+  mood: "Mood",
+  materials: "Materials",
+  goal: "Goal",
+  checkedInAt: "Checked in",
+  feedback: "Feedback",
+  homeNote: "Home note",
+  checkedOutAt: "Checked out",
+};
+// Checklist items live on the shared settings, like the school calendar
+const DEFAULT_CICO_MATERIALS = ["Pencil", "Notebook", "Homework", "Planner"];
+const cicoMaterialsOf = (settings) => settings?.cicoMaterials ?? DEFAULT_CICO_MATERIALS;
+
+const hasCICO = (record) =>
+  Object.entries(record?.cico ?? {}).some(([k, v]) => (k === "materials" ? Object.keys(v ?? {}).length > 0 : v !== undefined && v !== ""));
+
+// The goal set at check-in, or the day's (prorated) rubric goal when none was set
+function cicoReview(record, totals) {
+  const goal = record?.cico?.goal ?? totals.goalTarget;
+  return { goal, custom: record?.cico?.goal !== undefined, met: totals.maxPoints > 0 && totals.totalPoints >= goal, diff: round1(totals.totalPoints - goal) };
+}
+
+// "Pencil ✓, Homework ✗" for the items that were checked off or marked missing
+const cicoMaterialsText = (record) =>
+  Object.entries(record?.cico?.materials ?? {})
+    .map(([item, ok]) => `${item} ${ok ? "✓" : "✗"}`)
+    .join(", ");
+
+function cicoValue(field, v) {
+  if (field === "mood") return CICO_MOODS[v]?.label ?? String(v);
+  if (field === "materials") return v ? "brought" : "missing";
+  if (field === "checkedInAt" || field === "checkedOutAt") return formatClock(v);
+  return String(v);
+}
+
+// CICO columns for either CSV layout; blank on days without check-in/out
+function cicoCSVFields(record, totals) {
+  if (!hasCICO(record)) return Array(9).fill("");
+  const c = record.cico;
+  const review = cicoReview(record, totals);
+  return [
+    c.mentor ?? "",
+    c.mood ? cicoValue("mood", c.mood) : "",
+    cicoMaterialsText(record),
+    review.goal,
+    review.met ? "Yes" : "No",
+    c.feedback ?? "",
+    c.homeNote ?? "",
+    c.checkedInAt ?? "",
+    c.checkedOutAt ?? "",
+  ];
+}
+
+// ---- School Calendar ----
+// Which dates are school days, kept on the shared template (one calendar for everyone).
+// `weekdays` are getUTCDay() numbers (0 = Sunday); `closed` maps a date to a label
+// ("Thanksgiving", or "" for none). Non-school days without data aren't "missing".
+const DEFAULT_SCHOOL_CALENDAR = { weekdays: [1, 2, 3, 4, 5], closed: {} };
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const schoolCalendarOf = (settings) => ({ ...DEFAULT_SCHOOL_CALENDAR, ...settings?.schoolCalendar });
+const weekdayOf = (iso) => new Date(`${iso}T00:00:00Z`).getUTCDay();
+const isSchoolDay = (calendar, iso) => calendar.weekdays.includes(weekdayOf(iso)) && !(iso in calendar.closed);
+
+// Every date of the month containing `iso`
+function monthDates(iso) {
+  const dates = [];
+  for (let d = `${iso.slice(0, 7)}-01`; d.slice(0, 7) === iso.slice(0, 7); d = addDays(d, 1)) dates.push(d);
+  return dates;
+}
+
+// One calendar day for a student: kind is "scored", "statuses" (only absent/excused etc.),
+// "missing" (past school day with no scores), "closed" (non-school day) or "upcoming"
+function calendarDay(iso, record, summary, { calendar, settings, today }) {
+  const hasNote = Boolean(record?.dailyNote) || Object.values(record?.periodComments ?? {}).some(Boolean);
+  const base = { date: iso, record, hasNote, closedLabel: calendar.closed[iso] };
+  if (summary) return { ...base, kind: "scored", percent: summary.percent, goalMet: summary.goalMet };
+  if (record && computeTotals(record, rubricOf(record, settings)).excluded > 0) return { ...base, kind: "statuses" };
+  if (!isSchoolDay(calendar, iso)) return { ...base, kind: "closed" };
+  return { ...base, kind: iso > today ? "upcoming" : "missing" };
+}
+
+// ---- Change History ----
+// Edits made in the app append { id, ts, by, field, from, to } to the record's `history`
+// (and settings edits to the settings log). The log is append-only: every edit is its own
+// entry. Only the list shown on screen folds an edit continuing the one before (same field,
+// its `from` is the last `to`, same person, within HISTORY_COALESCE_MS) — typing a note,
+// tapping a tally — into one row.
+const HISTORY_COALESCE_MS = 60 * 1000;
+const HISTORY_SKIP_FIELDS = new Set(["history", "cellTimes", "timers"]);
+
+function appendHistory(history, changes, by) {
+  const ts = new Date().toISOString();
+  return [...(history ?? []), ...changes.map((c) => ({ id: uid(), ts, by, ...c }))];
+}
+
+// Entries saved before they had ids are told apart by their contents
+const historyId = (h) => h.id ?? `${h.ts}|${h.field}|${h.by}|${h.to}`;
+
+// Both devices' entries, each once, oldest first
+function mergeHistory(a, b) {
+  const byId = new Map();
+  [...(a ?? []), ...(b ?? [])].forEach((h) => byId.set(historyId(h), h));
+  return [...byId.values()].sort((x, y) => x.ts.localeCompare(y.ts));
+}
+
+// Rows for display: runs of edits continuing each other collapse into one, with `count`.
+// Staff edits change `by` as the name is typed, so they group on the field alone.
+function groupHistory(items) {
+  const rows = [];
+  items.forEach((h) => {
+    const last = rows[rows.length - 1];
+    const continues =
+      last &&
+      last.field === h.field &&
+      last.scope === h.scope &&
+      last.to === h.from &&
+      (last.by === h.by || h.field === "Staff") &&
+      Date.parse(h.ts) - Date.parse(last.ts) < HISTORY_COALESCE_MS;
+    if (continues) rows[rows.length - 1] = { ...last, ts: h.ts, by: h.by, to: h.to, count: last.count + 1 };
+    else rows.push({ ...h, count: 1 });
+  });
+  return rows;
+}
+
+function historyField([field, periodId, categoryId], rubric) {
+  const period = rubric?.periods.find((p) => p.id === periodId)?.name ?? periodId;
+  const cell = `${period} — ${rubric?.categories.find((c) => c.id === categoryId)?.name ?? categoryId}`;
+  const labels = {
+    matrix: `Score: ${cell}`,
+    cellStatus: `Status: ${cell}`,
+    periodStatus: `Status: ${period}`,
+    tallies: `Count: ${cell}`,
+    durations: `Duration: ${cell}`,
+    periodComments: `Comment: ${period}`,
+    dailyNote: "Daily note",
+    staff: "Staff",
+    rubric: "Rubric",
+    // For cico the second path part is the field and the third a material
+    cico: `Check-in/out: ${CICO_FIELDS[periodId] ?? periodId}${categoryId ? ` — ${categoryId}` : ""}`,
+  };
+  return labels[field] ?? field;
+}
+
+function historyValue([field, sub], v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (field === "cellStatus" || field === "periodStatus") return CELL_STATUSES[v]?.label ?? v;
+  if (field === "durations") return formatDuration(v);
+  if (field === "rubric") return `${v.periods.length} periods × ${v.categories.length} categories, goal ${v.goalPoints}`;
+  if (field === "cico") return cicoValue(sub, v);
+  return String(v);
+}
+
+// Field-level changes between two versions of a record, labeled with the newer rubric
+function recordChanges(before, after) {
+  const rubric = after.rubric ?? before?.rubric;
+  const a = syncLeaves(before);
+  const b = syncLeaves(after);
+  const changes = [];
+  new Set([...a.keys(), ...b.keys()]).forEach((k) => {
+    const path = JSON.parse(k);
+    if (HISTORY_SKIP_FIELDS.has(path[0])) return;
+    const from = a.get(k) ?? null;
+    const to = b.get(k) ?? null;
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+    changes.push({ field: historyField(path, rubric), from: historyValue(path, from), to: historyValue(path, to) });
+  });
+  return changes;
+}
+
+// `next` entries with each changed record's history extended. `note` marks undo/redo.
+function withHistory(prev, next, note) {
+  let out = next;
+  Object.keys(next).forEach((k) => {
+    if (next[k] === prev[k]) return;
+    const changes = recordChanges(prev[k], next[k]);
+    if (changes.length === 0) return;
+    const by = `${next[k].staff || "(no recorder)"}${note ? ` (${note})` : ""}`;
+    if (out === next) out = { ...next };
+    out[k] = { ...next[k], history: appendHistory(prev[k]?.history ?? next[k].history, changes, by) };
+  });
+  return out;
+}
+
+// Settings-level changes: scalar fields, and list items added, removed, edited or reordered
+function settingsChanges(before, after) {
+  if (!before || !after) return [{ field: "Rubric", from: before ? "own rubric" : "shared template", to: after ? "own rubric" : "shared template" }];
+  const changes = [];
+  const describe = (x) =>
+    Object.entries(x)
+      .filter(([k, v]) => k !== "id" && v !== undefined)
+      .map(([k, v]) => (k === "name" ? v : `${k} ${v}`))
+      .join(", ");
+  [
+    ["categories", "Categories"],
+    ["periods", "Periods"],
+    ["goalRules", "Goal rules"],
+  ].forEach(([field, label]) => {
+    const a = before[field] ?? [];
+    const b = after[field] ?? [];
+    if (a === b) return;
+    const old = new Map(a.map((x) => [x.id, x]));
+    const now = new Set(b.map((x) => x.id));
+    const count = changes.length;
+    b.forEach((x) => {
+      const o = old.get(x.id);
+      if (!o) changes.push({ field: label, from: "—", to: `added ${describe(x)}` });
+      else if (JSON.stringify(o) !== JSON.stringify(x)) changes.push({ field: `${label}: ${o.name}`, from: describe(o), to: describe(x) });
+    });
+    a.forEach((x) => !now.has(x.id) && changes.push({ field: label, from: describe(x), to: "removed" }));
+    if (changes.length === count && a.map((x) => x.id).join() !== b.map((x) => x.id).join()) {
+      changes.push({ field: `${label} order`, from: a.map((x) => x.name).join(", "), to: b.map((x) => x.name).join(", ") });
+    }
+  });
+  ["scaleMax", "goalPoints", "periodMode", "scaleLabels", "interval", "tokens", "schoolCalendar", "cicoMaterials", "decisionRules"].forEach((field) => {
+    const a = JSON.stringify(before[field] ?? null);
+    const b = JSON.stringify(after[field] ?? null);
+    if (a !== b) changes.push({ field, from: a.length > 80 ? "(previous)" : a, to: b.length > 80 ? "(updated)" : b });
+  });
+  return changes;
+}
+
+// Undo steps hold what to put back: the records an edit touched (null = didn't exist) and,
+// for settings/student edits, the students and shared settings from before it.
+const UNDO_LIMIT = 100;
+const UNDO_COALESCE_MS = 1500;
+
+// ---- Root Component ----
+// Opens storage, then hands the saved state to the app
+export default function BehaviorRubricApp() {
+  const [boot, setBoot] = useState(null);
+  const [bootError, setBootError] = useState(null);
+  useEffect(() => {
+    openStorage().then((b) => setBoot({ ...b, id: uid() }), (err) => setBootError(err));
+  }, []);
+  if (bootError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-sm text-red-700 p-6">
+        Could not open browser storage: {String(bootError.message ?? bootError)}
+      </div>
+    );
+  }
+  if (!boot) {
+    return <div className="min-h-screen flex items-center justify-center text-sm text-gray-500">Loading…</div>;
+  }
+  if (boot.locked) {
+    return <UnlockScreen {...boot.locked} onUnlock={setBoot} onErased={() => openStorage().then((b) => setBoot({ ...b, id: uid() }), setBootError)} />;
+  }
+  // A new boot (unlock, passcode set or removed) remounts the app with freshly loaded data
+  return (
+    <RubricApp
+      key={boot.id}
+      loaded={boot.loaded}
+      storage={boot.storage}
+      initialSync={boot.sync}
+      security={boot}
+      onLock={(lock) => setBoot({ locked: { base: boot.base, lock } })}
+      onSecurityChange={(next) => setBoot({ ...next, id: uid() })}
+    />
+  );
+}
+
+// Shown instead of the app while a passcode is set and the data hasn't been unlocked
+function UnlockScreen({ base, lock, onUnlock, onErased }) {
+  const [passcode, setPasscode] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const opened = await unlockStorage(base, lock, passcode);
+      if (opened) return onUnlock({ ...opened, id: uid() });
+      setError("That passcode is not right.");
+    } catch (err) {
+      setError(`Could not unlock: ${err?.message ?? err}`);
+    }
+    setBusy(false);
+    setPasscode("");
+  }
+  async function erase() {
+    const typed = prompt("Without the passcode the saved data can't be read. Type ERASE to delete all Behavior Rubric data on this device and start over.");
+    if (typed?.trim() !== "ERASE") return;
+    await base.clearAll();
+    onErased();
+  }
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 text-gray-900 p-6">
+      <form onSubmit={submit} className="rounded-2xl border bg-white shadow-sm p-6 w-full max-w-sm space-y-3">
+        <h1 className="text-lg font-semibold">Behavior Rubric is locked</h1>
+        <p className="text-sm text-gray-600">Enter the passcode to open the saved data on this device.</p>
+        <input
+          type="password"
+          autoFocus
+          autoComplete="current-password"
+          aria-label="Passcode"
+          className="w-full rounded-xl border px-3 py-2"
+          value={passcode}
+          onChange={(e) => setPasscode(e.target.value)}
+        />
+        {error && <div role="alert" className="text-sm text-red-700">{error}</div>}
+        <div className="flex items-center justify-between">
+          <button type="submit" disabled={busy || !passcode} className="rounded-xl px-4 py-2 bg-gray-900 text-white disabled:opacity-40">
+            {busy ? "Unlocking…" : "Unlock"}
+          </button>
+          <button type="button" onClick={erase} className="text-xs text-red-700 underline">Forgot passcode…</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function RubricApp({ loaded, storage, initialSync, security, onLock, onSecurityChange }) {
+  const [loadErrors, setLoadErrors] = useState(loaded.errors ?? null);
+
+  // Global app state
+  const [students, setStudents] = useState(() => {
+    const s = loaded.state;
+    return s?.students ?? [
+      { id: uid(), name: "Seth Example" },
+    ];
+  });
+  // Shared rubric template; students without their own settings use it
+  const [sharedSettings, setSharedSettings] = useState(() => {
+    const s = loaded.state;
+    return s?.settings ?? DEFAULT_SETTINGS;
+  });
+  const [date, setDate] = useState(() => {
+    const s = loaded.state;
+    return s?.date ?? todayISO();
+  });
+  const [studentId, setStudentId] = useState(() => {
+    const s = loaded.state;
+    return s?.studentId ?? students[0]?.id;
+  });
+
+  // Data entries: keyed by date->studentId
+  const [entries, setEntries] = useState(() => {
+    const s = loaded.state;
+    return s?.entries ?? {};
+  });
+
+  // Append-only log of settings edits, shared template and students' own rubrics alike
+  const [settingsLog, setSettingsLog] = useState(() => loaded.state?.settingsLog ?? []);
+  // Who the settings log credits for changes that didn't come from an edit here
+  const changeSourceRef = useRef(null);
+
+  // Rubric templates saved on this device; the presets aren't stored
+  const [templates, setTemplates] = useState(() => loaded.state?.templates ?? []);
+
+  // Which main view is showing: "daily" editor, "roster", "trends" or "report"
+  const [view, setView] = useState("daily");
+  // Range the report view opens with; `print` prints as soon as it renders
+  const [reportRequest, setReportRequest] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [restoreBackup, setRestoreBackup] = useState(null); // parsed backup awaiting replace/merge
+  const [csvImport, setCsvImport] = useState(null); // parsed CSV awaiting mapping and confirmation
+  const [historyOpen, setHistoryOpen] = useState(null); // "record" | "settings"
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+
+  // Persist: debounced, and only what changed. Records are immutable, so a record whose
+  // object identity changed since the last save is the set to write.
+  const [storageError, setStorageError] = useState(null);
+  const savedEntriesRef = useRef(loaded.state?.entries ?? {});
+  const pendingSaveRef = useRef(null);
+  function reportSaveError(err) {
+    setStorageError(
+      isQuotaError(err)
+        ? "Browser storage is full, so recent changes were NOT saved. Download a backup now, then free space by removing data you no longer need."
+        : `Saving failed: ${err?.message ?? err}. Recent changes may not be saved.`
+    );
+  }
+  // Saves still in flight, so locking can wait for them before dropping the key
+  const inFlightRef = useRef(Promise.resolve());
+  // What failed to save and hasn't been saved since ("meta", "lock", "entry:<key>"). The
+  // warning stays until all of it has, so an unrelated save succeeding doesn't hide it.
+  const unsavedRef = useRef(new Set());
+  function runSave(fn, onFail, targets) {
+    const done = fn().then(
+      () => {
+        targets.forEach((t) => unsavedRef.current.delete(t));
+        if (unsavedRef.current.size === 0) setStorageError(null);
+      },
+      (err) => {
+        targets.forEach((t) => unsavedRef.current.add(t));
+        onFail?.();
+        reportSaveError(err);
+      }
+    );
+    inFlightRef.current = Promise.all([inFlightRef.current, done]);
+    return done;
+  }
+  // Write out any debounced changes and wait until every save has finished
+  async function settleSaves() {
+    pendingSaveRef.current?.();
+    await inFlightRef.current;
+  }
+
+  // Device preferences saved with the meta: initials-only display, encrypted exports and
+  // how the score grid behaves
+  const [prefs, setPrefs] = useState(() => ({
+    initialsOnly: loaded.state?.initialsOnly ?? false,
+    encryptExports: loaded.state?.encryptExports ?? false,
+    autoAdvance: loaded.state?.autoAdvance ?? true,
+    largeTouch: loaded.state?.largeTouch ?? false,
+  }));
+  const metaState = () => ({ schemaVersion: SCHEMA_VERSION, students, settings: sharedSettings, settingsLog, templates, date, studentId, ...prefs });
+  useEffect(() => {
+    runSave(() => storage.saveMeta(metaState()), null, ["meta"]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [students, sharedSettings, settingsLog, templates, date, studentId, prefs]);
+
+  useEffect(() => {
+    const flush = () => {
+      pendingSaveRef.current = null;
+      const saved = savedEntriesRef.current;
+      const changed = {};
+      Object.entries(entries).forEach(([k, r]) => {
+        if (saved[k] !== r) changed[k] = r;
+      });
+      const removed = Object.keys(saved).filter((k) => !(k in entries));
+      savedEntriesRef.current = entries;
+      // On failure, forget this save so the next change retries these records too
+      const retry = () => savedEntriesRef.current === entries && (savedEntriesRef.current = saved);
+      const targets = (keys) => keys.map((k) => `entry:${k}`);
+      if (Object.keys(changed).length) runSave(() => storage.putEntries(changed), retry, targets(Object.keys(changed)));
+      if (removed.length) runSave(() => storage.deleteEntries(removed), retry, targets(removed));
+    };
+    const t = setTimeout(flush, SAVE_DEBOUNCE_MS);
+    pendingSaveRef.current = flush;
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [entries]);
+
+  // Optional server sync
+  const syncData = useMemo(
+    () => ({ students, settings: sharedSettings, entries }),
+    [students, sharedSettings, entries]
+  );
+  const { sync, status: syncStatus, syncNow, configure: configureSync, setEnabled: setSyncEnabled } = useSync({
+    storage,
+    initialSync,
+    data: syncData,
+    setData: (next) => {
+      changeSourceRef.current = "sync";
+      setStudents(next.students);
+      setSharedSettings(next.settings);
+      setEntries(next.entries);
+    },
+  });
+
+  // Don't lose the last keystrokes when the tab is hidden or closed mid-debounce
+  useEffect(() => {
+    const flushNow = () => pendingSaveRef.current?.();
+    const onVisibility = () => document.visibilityState === "hidden" && flushNow();
+    window.addEventListener("pagehide", flushNow);
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      window.removeEventListener("pagehide", flushNow);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, []);
+
+  // Passcode lock. Setting, changing or removing the passcode re-saves everything in its
+  // new form and remounts the app from the new storage (which also clears undo history).
+  const lock = security.lock;
+  const [lockMinutes, setLockMinutes] = useState(lock?.lockMinutes ?? DEFAULT_LOCK_MINUTES);
+  const currentLock = lock && { ...lock, lockMinutes };
+  async function lockNow() {
+    await settleSaves();
+    onLock(currentLock);
+  }
+  async function rewriteAll(target) {
+    await target.saveMeta(metaState());
+    await target.putEntries(entries);
+    await target.saveSync(sync);
+  }
+  // Re-save through `target` then store `nextLock`; on failure, put everything back as it was.
+  // Set-aside copies of unreadable data move too, so no plain-text copy outlives a new passcode.
+  async function switchStorage(target, nextLock, key) {
+    await settleSaves();
+    const unreadable = await storage.loadUnreadable();
+    try {
+      await rewriteAll(target);
+      await security.base.deleteUnreadable(Object.keys(unreadable));
+      for (const raw of Object.values(unreadable)) await target.keepUnreadable(raw);
+      await security.base.saveLock(nextLock);
+    } catch (err) {
+      await rewriteAll(storage).catch(() => {});
+      for (const raw of Object.values(unreadable)) await storage.keepUnreadable(raw).catch(() => {});
+      throw err;
+    }
+    onSecurityChange({ storage: target, base: security.base, lock: nextLock, key, loaded: { state: { ...metaState(), entries } }, sync });
+  }
+  async function setPasscode(passcode, current) {
+    if (lock && !(await keyForLock(lock, current))) return false;
+    const { lock: nextLock, key } = await createLock(passcode, lockMinutes);
+    await switchStorage(createSealedAdapter(security.base, key), nextLock, key);
+    return true;
+  }
+  async function removePasscode(current) {
+    if (!(await keyForLock(lock, current))) return false;
+    await switchStorage(security.base, null, null);
+    return true;
+  }
+  function changeLockMinutes(minutes) {
+    setLockMinutes(minutes);
+    runSave(() => security.base.saveLock({ ...lock, lockMinutes: minutes }), null, ["lock"]);
+  }
+  // Lock after a stretch without pointer, key or scroll input
+  const lockNowRef = useRef(null);
+  lockNowRef.current = lockNow;
+  useEffect(() => {
+    if (!lock || !lockMinutes) return;
+    let t;
+    const reset = () => {
+      clearTimeout(t);
+      t = setTimeout(() => lockNowRef.current(), lockMinutes * 60 * 1000);
+    };
+    const events = ["pointerdown", "keydown", "wheel", "touchstart"];
+    events.forEach((name) => window.addEventListener(name, reset, { passive: true }));
+    reset();
+    return () => {
+      clearTimeout(t);
+      events.forEach((name) => window.removeEventListener(name, reset));
+    };
+  }, [lock, lockMinutes]);
+
+  // Every download goes through here so exports can be encrypted. With a passcode set the
+  // file is sealed with the app key; otherwise a passcode is asked for just this file.
+  async function exportFile(filename, content, type) {
+    if (!prefs.encryptExports) return downloadFile(filename, content, type);
+    let { key } = security;
+    let { salt, iterations } = lock ?? {};
+    try {
+      if (!key) {
+        const passcode = prompt("Passcode for this encrypted file (it will be needed to open the file):");
+        if (!passcode) return;
+        const bytes = randomBytes(16);
+        [salt, iterations] = [toBase64(bytes), PBKDF2_ITERATIONS];
+        key = await deriveKey(passcode, bytes, iterations);
+      }
+      const sealedFile = await encryptFile({ filename, type, content }, key, salt, iterations);
+      // The real filename (often a student's name) is only inside, restored on decrypting
+      downloadFile(`behavior_rubric_${todayISO()}.encrypted.json`, sealedFile, "application/json");
+    } catch (err) {
+      alert(`Could not encrypt the export: ${err?.message ?? err}`);
+    }
+  }
+  // Decrypt an encrypted export back into the file it was made from
+  function openEncryptedFile(file) {
+    readFileText(file, async (text) => {
+      let parsed = null;
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        // reported below
+      }
+      if (parsed?.format !== ENCRYPTED_FILE_FORMAT) {
+        alert("This is not an encrypted Behavior Rubric export.");
+        return;
+      }
+      const passcode = prompt("Passcode the file was exported with:");
+      if (!passcode) return;
+      const original = await decryptFile(parsed, passcode);
+      if (!original) alert("That passcode doesn't open this file.");
+      else downloadFile(original.filename, original.content, original.type);
+    });
+  }
+  const nameOf = (s) => displayName(s, prefs.initialsOnly);
+
+  const student = students.find((s) => s.id === studentId);
+  // Archived students drop out of pickers and the roster but keep their data
+  const activeStudents = useMemo(() => students.filter((s) => !s.archivedAt), [students]);
+
+  // Settings for the selected student. Edits go to their own rubric when they have one,
+  // otherwise to the shared template (and so to every student using it).
+  const settings = settingsFor(student, sharedSettings);
+  const hasOwnSettings = Boolean(student?.settings);
+  function setSettings(update) {
+    checkpoint("settings", true);
+    const apply = (prev) => (typeof update === "function" ? update(prev) : update);
+    if (hasOwnSettings) {
+      setStudents((prev) => prev.map((s) => (s.id === studentId ? { ...s, settings: apply(s.settings) } : s)));
+    } else {
+      setSharedSettings(apply);
+    }
+  }
+
+  // The school calendar lives on the shared template whoever's rubric is showing
+  function setSchoolCalendar(update) {
+    checkpoint("calendar", true);
+    setSharedSettings((prev) => ({ ...prev, schoolCalendar: update(schoolCalendarOf(prev)) }));
+  }
+
+  // Ensure record exists for (date, student)
+  const key = `${date}__${studentId}`;
+  const record = useMemo(
+    () => entries[key] ?? makeRecord(studentId, date, settings),
+    [entries, key, settings, studentId, date]
+  );
+  // The rubric this day is scored under; differs from settings for older days
+  const rubric = rubricOf(record, settings);
+  const isHistorical = !sameRubric(rubric, settings);
+
+  // Nothing is created while no student is selected (e.g. the last one was deleted)
+  useEffect(() => {
+    if (student && !entries[key]) {
+      setEntries((prev) => (prev[key] ? prev : { ...prev, [key]: record }));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key, Boolean(entries[key]), Boolean(student)]);
+
+  // ---- Undo / redo ----
+  const undoRef = useRef({ past: [], future: [] });
+  const [undoCounts, setUndoCounts] = useState({ past: 0, future: 0 });
+  const syncUndoCounts = () => setUndoCounts({ past: undoRef.current.past.length, future: undoRef.current.future.length });
+
+  // Start an undo step before an edit, or keep adding to the last one when the same
+  // `tag` (e.g. one text field) was edited a moment ago. `meta` = students/settings edit.
+  function checkpoint(tag, meta = false) {
+    const u = undoRef.current;
+    const now = Date.now();
+    let step = u.past[u.past.length - 1];
+    if (!(step && tag && step.tag === tag && now - step.at < UNDO_COALESCE_MS)) {
+      step = { tag, at: now, entries: {}, meta: false, students, sharedSettings };
+      u.past = [...u.past.slice(1 - UNDO_LIMIT), step];
+    }
+    step.at = now;
+    step.meta ||= meta;
+    u.future = [];
+    syncUndoCounts();
+    return step;
+  }
+
+  // Every scoring edit goes through here: it is undoable and lands in the record's history
+  // (`note` marks where a non-typed edit came from, e.g. "import")
+  function editEntries(fn, tag, note) {
+    const step = checkpoint(tag);
+    setEntries((prev) => {
+      const next = fn(prev);
+      new Set([...Object.keys(prev), ...Object.keys(next)]).forEach((k) => {
+        if (next[k] !== prev[k] && !(k in step.entries)) step.entries[k] = prev[k] ?? null;
+      });
+      return withHistory(prev, next, note);
+    });
+  }
+  function editStudents(fn, tag) {
+    checkpoint(tag, true);
+    setStudents(fn);
+  }
+
+  // Put back a step's records and settings, recording the opposite step for the other stack.
+  // Histories are kept as they are now, plus entries for the reversal.
+  function travel(from, to, note) {
+    const u = undoRef.current;
+    const step = u[from].pop();
+    if (!step) return;
+    const inverse = { tag: null, at: 0, entries: {}, meta: step.meta, students, sharedSettings };
+    u[to].push(inverse);
+    if (step.meta && (step.students !== students || step.sharedSettings !== sharedSettings)) {
+      changeSourceRef.current = note;
+      setStudents(step.students);
+      setSharedSettings(step.sharedSettings);
+    }
+    if (Object.keys(step.entries).length) {
+      setEntries((prev) => {
+        const next = { ...prev };
+        Object.entries(step.entries).forEach(([k, rec]) => {
+          if (!(k in inverse.entries)) inverse.entries[k] = prev[k] ?? null;
+          if (rec) next[k] = { ...rec, history: prev[k]?.history ?? rec.history };
+          else delete next[k];
+        });
+        return withHistory(prev, next, note);
+      });
+    }
+    syncUndoCounts();
+  }
+  const undo = () => travel("past", "future", "undo");
+  const redo = () => travel("future", "past", "redo");
+
+  // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y. Text fields keep their own undo.
+  const undoKeysRef = useRef(null);
+  undoKeysRef.current = { undo, redo };
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      if (t?.isContentEditable || t?.tagName === "TEXTAREA" || (t?.tagName === "INPUT" && !["checkbox", "radio", "button"].includes(t.type))) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) undoKeysRef.current.undo();
+      else if ((k === "z" && e.shiftKey) || k === "y") undoKeysRef.current.redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // Settings log: compare each rubric with the last one seen
+  const prevLoggedRef = useRef({ sharedSettings, students });
+  useEffect(() => {
+    const prev = prevLoggedRef.current;
+    prevLoggedRef.current = { sharedSettings, students };
+    const source = changeSourceRef.current;
+    changeSourceRef.current = null;
+    const changes = [];
+    if (prev.sharedSettings !== sharedSettings) {
+      settingsChanges(prev.sharedSettings, sharedSettings).forEach((c) => changes.push({ scope: "Shared template", ...c }));
+    }
+    students.forEach((s) => {
+      const before = prev.students.find((x) => x.id === s.id);
+      if (before && before.settings !== s.settings) settingsChanges(before.settings, s.settings).forEach((c) => changes.push({ scope: s.name, ...c }));
+    });
+    if (changes.length === 0) return;
+    const by = `${entries[key]?.staff || "(no recorder)"}${source ? ` (${source})` : ""}`;
+    setSettingsLog((log) => appendHistory(log, changes, by));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sharedSettings, students]);
+
+  function updateRecord(mut) {
+    editEntries((prev) => ({ ...prev, [key]: { ...prev[key], ...mut } }), `record:${key}:${Object.keys(mut).join()}`);
+  }
+
+  // Check-in/check-out: on for the student, or shown anyway on a day that already has answers
+  const cicoOn = Boolean(student?.cico) || hasCICO(record);
+  function setStudentCICO(on) {
+    editStudents((prev) => prev.map((s) => {
+      if (s.id !== studentId) return s;
+      const { cico: _cico, ...rest } = s;
+      return on ? { ...rest, cico: true } : rest;
+    }));
+  }
+  function updateCICO(patch) {
+    editEntries(
+      (prev) => ({ ...prev, [key]: { ...prev[key], cico: { ...prev[key]?.cico, ...patch } } }),
+      `record:${key}:cico:${Object.keys(patch).join()}`
+    );
+  }
+  function setCICOMaterials(list) {
+    checkpoint("cico-materials", true);
+    setSharedSettings((prev) => ({ ...prev, cicoMaterials: list }));
+  }
+
+  // Intervention phases are the student's; the decision rules are shared by everyone
+  function setPhases(id, phases) {
+    editStudents((prev) => prev.map((s) => {
+      if (s.id !== id) return s;
+      const { phases: _phases, ...rest } = s;
+      return phases.length ? { ...rest, phases } : rest;
+    }), `phases:${id}`);
+  }
+  function setDecisionRules(rules) {
+    checkpoint("decision-rules", true);
+    setSharedSettings((prev) => ({ ...prev, decisionRules: rules }));
+  }
+
+  function setScore(periodId, categoryId, val) {
+    const v = val === "" ? null : clamp(parseInt(val, 10), 0, rubric.scaleMax);
+    const score = Number.isNaN(v) ? null : v;
+    editEntries((prev) => ({ ...prev, [key]: withScore(prev[key], periodId, categoryId, score) }));
+  }
+
+  // A status clears the cell's score so the two never disagree
+  function setCellStatus(periodId, categoryId, status) {
+    editEntries((prev) => {
+      const rec = withScore(prev[key], periodId, categoryId, null);
+      return { ...prev, [key]: { ...rec, cellStatus: { ...rec.cellStatus, [periodId]: { ...rec.cellStatus?.[periodId], [categoryId]: status } } } };
+    });
+  }
+
+  // Roster edits: `cells` is [{ studentId, periodId, categoryId, score }] for `date`.
+  // Students without a record that day get one under their current rubric.
+  function scoreCells(cells) {
+    editEntries((prev) => {
+      const next = { ...prev };
+      cells.forEach(({ studentId: sid, periodId, categoryId, score }) => {
+        const k = `${date}__${sid}`;
+        const own = settingsFor(students.find((s) => s.id === sid), sharedSettings);
+        const rec = next[k] ?? makeRecord(sid, date, own);
+        next[k] = withScore(withMatrixShape(rec, rubricOf(rec, own)), periodId, categoryId, score);
+      });
+      return next;
+    });
+  }
+
+  // Tally/duration cells. `fn` maps the old value to the new one.
+  function updateMeasure(field, periodId, categoryId, fn) {
+    editEntries((prev) => {
+      const rec = prev[key];
+      return {
+        ...prev,
+        [key]: {
+          ...rec,
+          [field]: {
+            ...rec[field],
+            [periodId]: { ...rec[field]?.[periodId], [categoryId]: fn(rec[field]?.[periodId]?.[categoryId]) },
+          },
+          cellTimes: {
+            ...rec.cellTimes,
+            [periodId]: { ...rec.cellTimes?.[periodId], [categoryId]: new Date().toISOString() },
+          },
+        },
+      };
+    }, `${field}:${key}:${periodId}:${categoryId}`);
+  }
+  const bumpTally = (periodId, categoryId, delta) =>
+    updateMeasure("tallies", periodId, categoryId, (n) => Math.max(0, (n ?? 0) + delta));
+  const startTimer = (periodId, categoryId) =>
+    updateMeasure("timers", periodId, categoryId, () => new Date().toISOString());
+  function stopTimer(periodId, categoryId) {
+    editEntries((prev) => {
+      const rec = prev[key];
+      const startedAt = rec.timers?.[periodId]?.[categoryId];
+      if (!startedAt) return prev;
+      const elapsed = Math.max(0, (Date.now() - Date.parse(startedAt)) / 1000);
+      return {
+        ...prev,
+        [key]: {
+          ...rec,
+          timers: { ...rec.timers, [periodId]: { ...rec.timers[periodId], [categoryId]: null } },
+          durations: {
+            ...rec.durations,
+            [periodId]: { ...rec.durations?.[periodId], [categoryId]: Math.round((rec.durations?.[periodId]?.[categoryId] ?? 0) + elapsed) },
+          },
+        },
+      };
+    });
+  }
+  function clearDuration(periodId, categoryId) {
+    if (!confirm("Reset this timer to 0?")) return;
+    updateMeasure("timers", periodId, categoryId, () => null);
+    updateMeasure("durations", periodId, categoryId, () => 0);
+  }
+
+  // Highlight the period happening now when viewing today; tick each second while a timer runs
+  const anyTimerRunning = Object.values(record.timers ?? {}).some((row) => Object.values(row ?? {}).some(Boolean));
+  const now = useNow(anyTimerRunning ? 1000 : 30000);
+  const measures = computeMeasures(record, rubric, now);
+  const nowPeriodId = date === localDateISO(now) ? currentPeriodId(rubric.periods, now) : null;
+
+  function setIntervalField(field, value) {
+    setSettings((prev) => ({ ...prev, interval: { ...(prev.interval ?? DEFAULT_INTERVAL), [field]: value } }));
+  }
+  function generateIntervalGrid() {
+    const interval = settings.interval ?? DEFAULT_INTERVAL;
+    const periods = generateIntervalPeriods(interval);
+    if (periods.length === 0) {
+      alert("The interval doesn't fit between the start and end times.");
+      return;
+    }
+    if (!confirm(`Replace the period list with ${periods.length} ${interval.minutes}-minute intervals?`)) return;
+    setSettings((prev) => ({ ...prev, periods }));
+  }
+
+  // Totals, and goal rules evaluated from the same totals
+  const totals = useMemo(() => computeTotals(record, rubric), [record, rubric]);
+  const { totalPoints, maxPoints, percent, perPeriodTotals, goalTarget, goalMet } = totals;
+  const goals = useMemo(() => evaluateGoals(record, rubric, totals), [record, rubric, totals]);
+
+  // Keyboard grid over the matrix: one tab stop (the active cell), arrows move, digits
+  // score, Delete clears, Enter opens the choices. Cells are addressed "row,col" by
+  // period and category index.
+  const gridRef = useRef(null);
+  const [activeCell, setActiveCell] = useState([0, 0]);
+  const [openCell, setOpenCell] = useState(null); // "row,col" whose choices are showing
+  const [announcement, setAnnouncement] = useState("");
+  const digitsRef = useRef({ cell: null, text: "", timer: null });
+  const gridEditRef = useRef(null); // period id of the last grid edit, to announce its totals
+  const [activeRow, activeCol] = [
+    Math.min(activeCell[0], rubric.periods.length - 1),
+    Math.min(activeCell[1], rubric.categories.length - 1),
+  ];
+  const cellLocked = (row, col) => Boolean(record.periodStatus?.[rubric.periods[row]?.id]) || !isScored(rubric.categories[col]);
+  function focusCell(row, col) {
+    const r = clamp(row, 0, rubric.periods.length - 1);
+    const c = clamp(col, 0, rubric.categories.length - 1);
+    setActiveCell([r, c]);
+    gridRef.current?.querySelector(`[data-grid-cell="${r},${c}"]`)?.focus();
+  }
+  // The next cell that takes a score, reading across then down; stays put at the end
+  function advanceFrom(row, col) {
+    const width = rubric.categories.length;
+    for (let i = row * width + col + 1; i < rubric.periods.length * width; i++) {
+      if (!cellLocked(Math.floor(i / width), i % width)) return focusCell(Math.floor(i / width), i % width);
+    }
+  }
+  function scoreFromGrid(row, col, score) {
+    const p = rubric.periods[row];
+    gridEditRef.current = p.id;
+    setScore(p.id, rubric.categories[col].id, score === null ? "" : String(score));
+    if (score !== null && prefs.autoAdvance) advanceFrom(row, col);
+  }
+  function pickFromGrid(row, col, choice) {
+    setOpenCell(null);
+    if (typeof choice === "string") {
+      gridEditRef.current = rubric.periods[row].id;
+      setCellStatus(rubric.periods[row].id, rubric.categories[col].id, choice);
+      focusCell(row, col);
+    } else {
+      scoreFromGrid(row, col, choice);
+      if (choice === null || !prefs.autoAdvance) focusCell(row, col);
+    }
+  }
+  // With scaleMax 10, "1" waits briefly for a possible "0"; otherwise digits score at once.
+  // 0 never starts a longer number, so it always scores at once.
+  function typeDigit(row, col, digit) {
+    const buf = digitsRef.current;
+    clearTimeout(buf.timer);
+    const here = `${row},${col}`;
+    const n = parseInt(buf.cell === here ? buf.text + digit : digit, 10);
+    if (n > rubric.scaleMax) return;
+    const commit = () => {
+      digitsRef.current = { cell: null, text: "", timer: null };
+      scoreFromGrid(row, col, n);
+    };
+    if (n === 0 || n * 10 > rubric.scaleMax) commit();
+    else digitsRef.current = { cell: here, text: String(n), timer: setTimeout(commit, 700) };
+  }
+  function onGridKey(e) {
+    const cell = e.target.closest?.("[data-grid-cell]");
+    if (!cell) return;
+    const [row, col] = cell.dataset.gridCell.split(",").map(Number);
+    // Inside a cell's choices or buttons, only Escape belongs to the grid. Arrows, Home and
+    // End move between the open choices without picking one; Enter or Space picks it.
+    if (e.target !== cell) {
+      const radios = [...(e.target.closest('[role="radiogroup"]')?.querySelectorAll('[role="radio"]') ?? [])];
+      const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+      if (radios.length && (step || e.key === "Home" || e.key === "End")) {
+        e.preventDefault();
+        const i = radios.indexOf(e.target);
+        radios[e.key === "Home" ? 0 : e.key === "End" ? radios.length - 1 : (i + step + radios.length) % radios.length].focus();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        setOpenCell(null);
+        cell.focus();
+      }
+      return;
+    }
+    const last = [rubric.periods.length - 1, rubric.categories.length - 1];
+    const moves = {
+      ArrowUp: [row - 1, col],
+      ArrowDown: [row + 1, col],
+      ArrowLeft: [row, col - 1],
+      ArrowRight: [row, col + 1],
+      Home: e.ctrlKey ? [0, 0] : [row, 0],
+      End: e.ctrlKey ? last : [row, last[1]],
+    };
+    if (moves[e.key]) {
+      e.preventDefault();
+      setOpenCell(null);
+      focusCell(...moves[e.key]);
+    } else if (/^[0-9]$/.test(e.key) && !cellLocked(row, col)) {
+      e.preventDefault();
+      typeDigit(row, col, e.key);
+    } else if ((e.key === "Delete" || e.key === "Backspace") && !cellLocked(row, col)) {
+      e.preventDefault();
+      scoreFromGrid(row, col, null);
+    } else if (e.key === "Enter" || e.key === " " || e.key === "F2") {
+      e.preventDefault();
+      // Scored cells open their choices; tally and timer cells press their main button
+      if (isScored(rubric.categories[col])) !record.periodStatus?.[rubric.periods[row].id] && setOpenCell(`${row},${col}`);
+      else cell.querySelector("button")?.click();
+    } else if (e.key === "-" && !isScored(rubric.categories[col])) {
+      e.preventDefault();
+      cell.querySelectorAll("button")[1]?.click(); // tally minus one / timer reset
+    } else if (e.key === "Escape") {
+      setOpenCell(null);
+    }
+  }
+  // Read out the edited period's total and the daily total after each grid edit
+  useEffect(() => {
+    const periodId = gridEditRef.current;
+    if (!periodId || !perPeriodTotals[periodId]) return;
+    gridEditRef.current = null;
+    const p = rubric.periods.find((x) => x.id === periodId);
+    const t = perPeriodTotals[periodId];
+    setAnnouncement(`${p.name}: ${t.total} of ${t.max}. Daily total ${totalPoints} of ${maxPoints}, ${percent}%.`);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [totals]);
+
+  // CSV export
+  function exportCSV() {
+    const rows = [CSV_HEADER, ...recordCSVRows(record, rubric, student?.name, phaseOn(phasesOf(student), date))];
+    exportFile(`behavior_rubric_${student?.name ?? "student"}_${date}.csv`, toCSV(rows), "text/csv;charset=utf-8;");
+  }
+
+  // Print a clean one-day report instead of the editor with its inputs
+  function printDaily() {
+    setReportRequest({ from: date, to: date, print: true, id: uid() });
+    setView("report");
+  }
+
+  // Import/Export settings
+  function exportSettingsJSON() {
+    exportFile("behavior_rubric_settings.json", JSON.stringify(settings, null, 2), "application/json");
+  }
+
+  function importSettingsJSON(file) {
+    readFileText(file, async (encrypted) => {
+      const text = await decryptedText(encrypted);
+      if (text === null) return;
+      try {
+        const parsed = JSON.parse(text);
+        const errors = validateShape(parsed, SETTINGS_SHAPE, "settings");
+        if (errors.length) {
+          alert(`Invalid settings file:\n${errors.slice(0, 10).join("\n")}`);
+          return;
+        }
+        // The current day follows through the snapshot sync effect; its scores are kept
+        setSettings(parsed);
+      } catch (err) {
+        alert("Invalid settings file: not valid JSON");
+      }
+    });
+  }
+
+  // Rubric templates. Applying one is a single undo step; `target` is "shared" or a student id,
+  // and a student on the shared template gets their own rubric from it.
+  function applyTemplateTo(template, target) {
+    checkpoint(`template:${uid()}`, true);
+    changeSourceRef.current = `template: ${template.name}`;
+    if (target === "shared") {
+      setSharedSettings((prev) => applyTemplate(prev, template));
+    } else {
+      setStudents((prev) =>
+        prev.map((s) => (s.id === target ? { ...s, settings: applyTemplate(settingsFor(s, sharedSettings), template) } : s))
+      );
+    }
+  }
+  // Saves the rubric showing in Settings
+  function saveTemplate(name, description) {
+    const template = { id: uid(), name, description, savedAt: new Date().toISOString(), settings: templateSettings(settings) };
+    setTemplates((prev) => [...prev, template]);
+    return template;
+  }
+  function deleteTemplate(id) {
+    setTemplates((prev) => prev.filter((t) => t.id !== id));
+  }
+  function downloadTemplate(template) {
+    const slug = template.name.replace(/[^\w-]+/g, "_");
+    exportFile(`behavior_rubric_template_${slug}.json`, JSON.stringify(templateFile(template), null, 2), "application/json");
+  }
+  function importTemplateFile(file, onDone) {
+    readFileText(file, async (encrypted) => {
+      const text = await decryptedText(encrypted);
+      if (text === null) return;
+      try {
+        const { template, errors } = readTemplateFile(JSON.parse(text));
+        if (errors) {
+          alert(`Invalid template file:\n${errors.slice(0, 10).join("\n")}`);
+          return;
+        }
+        setTemplates((prev) => [...prev, template]);
+        onDone?.(template);
+      } catch (err) {
+        alert("Invalid template file: not valid JSON");
+      }
+    });
+  }
+
+  // Full backup / restore
+  function exportBackupJSON() {
+    const json = JSON.stringify(makeBackup({ students, sharedSettings, entries, settingsLog, templates }), null, 2);
+    exportFile(`behavior_rubric_backup_${todayISO()}.json`, json, "application/json");
+  }
+  function openBackupFile(file) {
+    readFileText(file, async (encrypted) => {
+      const text = await decryptedText(encrypted);
+      if (text === null) return;
+      try {
+        const parsed = JSON.parse(text);
+        if (parsed?.format !== BACKUP_FORMAT) {
+          alert("Invalid backup file: not a Behavior Rubric backup");
+          return;
+        }
+        const { data, errors } = migrateAndValidate(parsed);
+        if (errors) {
+          alert(`Invalid backup file:\n${errors.slice(0, 10).join("\n")}`);
+          return;
+        }
+        setRestoreBackup({ ...parsed, ...data });
+      } catch (err) {
+        alert("Invalid backup file: not valid JSON");
+      }
+    });
+  }
+  // CSV import: parsed rows wait in `csvImport` for the mapping/dry-run dialog
+  function openImportCSV(file) {
+    readFileText(file, async (encrypted) => {
+      const text = await decryptedText(encrypted);
+      if (text === null) return;
+      const parsed = readImportCSV(text);
+      if (parsed.missing.length) {
+        alert(`This CSV is missing required column(s): ${parsed.missing.join(", ")}. Use the layout Export CSV writes.`);
+        return;
+      }
+      setCsvImport({ fileName: file.name, ...parsed });
+    });
+  }
+  // The data an import is planned against; kept stable so the dialog doesn't re-plan every render
+  const importLocal = useMemo(() => ({ students, sharedSettings, entries }), [students, sharedSettings, entries]);
+  // Unlike a restore, an import is one ordinary undo step
+  function applyImport(plan) {
+    const tag = `import:${uid()}`;
+    checkpoint(tag, true);
+    changeSourceRef.current = "import";
+    setStudents(plan.students);
+    setSharedSettings(plan.sharedSettings);
+    editEntries((prev) => ({ ...prev, ...plan.records }), tag, "import");
+    setCsvImport(null);
+  }
+
+  // The data a backup merge is planned against; kept stable so the dialog doesn't re-plan every render
+  const restoreLocal = useMemo(() => ({ students, entries, templates }), [students, entries, templates]);
+  // Restores can't be undone step by step; they start a fresh undo history
+  function resetUndo() {
+    undoRef.current = { past: [], future: [] };
+    syncUndoCounts();
+  }
+  function replaceAllData(backup) {
+    resetUndo();
+    changeSourceRef.current = "restore";
+    if (backup.settingsLog) setSettingsLog(backup.settingsLog);
+    if (backup.templates) setTemplates(backup.templates);
+    setStudents(backup.students);
+    setSharedSettings(backup.settings);
+    setEntries(backup.entries);
+    if (!backup.students.some((s) => s.id === studentId)) setStudentId(backup.students[0]?.id);
+    setRestoreBackup(null);
+  }
+  // `useIncoming` is the set of conflicting keys where the backup's version wins
+  function mergeData(plan, useIncoming) {
+    resetUndo();
+    changeSourceRef.current = "restore";
+    setStudents((prev) => [...prev, ...plan.newStudents]);
+    setTemplates((prev) => [...prev, ...plan.newTemplates]);
+    setEntries((prev) => {
+      const next = { ...prev, ...plan.added };
+      plan.conflicts.forEach((c) => {
+        if (useIncoming.has(c.key)) next[c.key] = c.incoming;
+      });
+      return next;
+    });
+    setRestoreBackup(null);
+  }
+
+  // Students
+  function addStudent(name) {
+    const s = { id: uid(), name: name.trim() };
+    if (!s.name) return;
+    editStudents((prev) => [...prev, s]);
+    setStudentId(s.id);
+  }
+  function renameStudent(id, newName) {
+    editStudents((prev) => prev.map((s) => (s.id === id ? { ...s, name: newName } : s)), `rename:${id}`);
+  }
+  // Rubric source for a student: "shared", "own" (copy of what they use now) or another student's id
+  function setStudentRubric(id, source) {
+    editStudents((prev) => prev.map((s) => {
+      if (s.id !== id) return s;
+      if (source === "shared") {
+        const { settings: _own, ...rest } = s;
+        return rest;
+      }
+      const from = source === "own" ? s : prev.find((x) => x.id === source);
+      return { ...s, settings: JSON.parse(JSON.stringify(settingsFor(from, sharedSettings))) };
+    }));
+  }
+  // Who to select when `id` goes away: an active student, else an archived one, else nobody
+  const otherStudentId = (id) =>
+    (activeStudents.find((x) => x.id !== id) ?? students.find((x) => x.id !== id))?.id ?? null;
+  function archiveStudent(id) {
+    const s = students.find((x) => x.id === id);
+    if (!confirm(`Archive ${s?.name}? Their records are kept and they can be restored from the Archived list.`)) return;
+    editStudents((prev) => prev.map((x) => (x.id === id ? { ...x, archivedAt: new Date().toISOString() } : x)));
+    if (studentId === id) setStudentId(otherStudentId(id) ?? id);
+  }
+  function restoreStudent(id) {
+    editStudents((prev) => prev.map((x) => {
+      if (x.id !== id) return x;
+      const { archivedAt: _archived, ...rest } = x;
+      return rest;
+    }));
+  }
+  // Removes the student and every record of theirs, offering a backup file first
+  function deleteStudentForever(id) {
+    const s = students.find((x) => x.id === id);
+    if (!s) return;
+    const own = entriesOf(entries, id);
+    if (confirm(`Download a backup of ${s.name}'s data (${Object.keys(own).length} days) before deleting?`)) {
+      const json = JSON.stringify(makeBackup({ students: [s], sharedSettings, entries: own }), null, 2);
+      exportFile(`behavior_rubric_${s.name}_backup_${todayISO()}.json`, json, "application/json");
+    }
+    const typed = prompt(`This permanently deletes ${s.name} and all ${Object.keys(own).length} of their days from this device${sync.enabled ? " and the sync server" : ""}. Type their name to confirm.`);
+    if (typed === null || typed.trim() !== s.name.trim()) {
+      if (typed !== null) alert("The name didn't match; nothing was deleted.");
+      return;
+    }
+    // One tag, so a single undo brings back the student and their days
+    editStudents((prev) => prev.filter((x) => x.id !== id), `purge:${id}`);
+    editEntries((prev) => Object.fromEntries(Object.entries(prev).filter(([, r]) => r?.studentId !== id)), `purge:${id}`);
+    if (studentId === id) setStudentId(otherStudentId(id));
+  }
+  const usage = useMemo(() => storageByStudent(students, entries), [students, entries]);
+  const archivedStudents = students.filter((s) => s.archivedAt);
+
+  // Token spending and adjustments for the selected student
+  function addLedgerEntry(entry) {
+    const row = { id: uid(), ts: new Date().toISOString(), ...entry };
+    editStudents((prev) => prev.map((s) => (s.id === studentId ? { ...s, ledger: [...(s.ledger ?? []), row] } : s)));
+  }
+  function removeLedgerEntry(id) {
+    if (!confirm("Undo this token entry?")) return;
+    editStudents((prev) => prev.map((s) => (s.id === studentId ? { ...s, ledger: (s.ledger ?? []).filter((r) => r.id !== id) } : s)));
+  }
+  const tokens = tokenConfig(settings);
+  const tokenBalance = useMemo(
+    () => (tokens.enabled && student ? tokenHistory(student, entries, settings).balance : null),
+    [tokens.enabled, student, entries, settings]
+  );
+
+  // Settings editors
+  function addCategory() {
+    setSettings((prev) => ({ ...prev, categories: [...prev.categories, { id: uid(), name: "New Category" }] }));
+  }
+  function addGoalRule() {
+    const rule = { id: uid(), name: "New goal", tier: "bronze", type: "periodPercent", min: 80, count: 0 };
+    setSettings((prev) => ({ ...prev, goalRules: [...(prev.goalRules ?? []), rule] }));
+  }
+  function addPeriod() {
+    setSettings((prev) => ({ ...prev, periods: [...prev.periods, { id: uid(), name: "New Period" }] }));
+  }
+
+  // When settings change, carry the edit into the current record only if it was scored
+  // under the rubric being edited. Days opened later keep the snapshot they were scored with.
+  const prevSettingsRef = useRef({ key, settings });
+  useEffect(() => {
+    const prev = prevSettingsRef.current;
+    prevSettingsRef.current = { key, settings };
+    setEntries((all) => {
+      const rec = all[key];
+      if (!rec) return all;
+      const tracking =
+        !rec.rubric ||
+        (prev.key === key && prev.settings !== settings && sameRubric(rec.rubric, prev.settings));
+      const next = tracking ? { ...rec, rubric: snapshotRubric(settings) } : rec;
+      const shaped = withMatrixShape(next, next.rubric);
+      return shaped === rec ? all : { ...all, [key]: shaped };
+    });
+  }, [settings, key]);
+
+  function applyCurrentRubric() {
+    if (!confirm("Re-label and re-total this day using the current settings?")) return;
+    editEntries((all) => ({
+      ...all,
+      [key]: withMatrixShape({ ...all[key], rubric: snapshotRubric(settings) }, settings),
+    }));
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-900">
+      {/* Header */}
+      <header className="sticky top-0 z-10 bg-white/90 backdrop-blur border-b">
+        <div className="mx-auto max-w-7xl px-4 py-3 flex items-center gap-3">
+          <div className="flex-1">
+            <h1 className="text-2xl font-bold">Behavior Rubric — Daily Tracker</h1>
+            <p className="text-xs text-gray-500">
+              Data stays in your browser{storage.kind === "localstorage" ? " (limited storage)" : ""}{lock ? ", encrypted with your passcode" : ""}. Export CSV to share. Print for a parent report.
+            </p>
+          </div>
+
+          {/* View */}
+          <div className="flex items-center rounded-xl border overflow-hidden text-sm" role="tablist">
+            {[
+              ["daily", "Daily"],
+              ["roster", "Roster"],
+              ["calendar", "Calendar"],
+              ["trends", "Trends"],
+              ["report", "Report"],
+            ].map(([id, label]) => (
+              <button
+                key={id}
+                role="tab"
+                aria-selected={view === id}
+                onClick={() => setView(id)}
+                className={`px-3 py-1.5 ${view === id ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {/* Date */}
+          <label className="text-sm flex items-center gap-2">
+            <span className="hidden sm:inline">Date</span>
+            <input
+              type="date"
+              className="rounded-lg border px-2 py-1"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+            />
+          </label>
 
           {/* Student select */}
           <div className="flex items-center gap-2">
-            <select
-              className="rounded-lg border px-2 py-1"
-              value={studentId}
-              onChange={(e) => setStudentId(e.target.value)}
+            <select
+              className="rounded-lg border px-2 py-1"
+              value={studentId ?? ""}
+              onChange={(e) => setStudentId(e.target.value)}
+            >
+              {activeStudents.map((s) => (
+                <option key={s.id} value={s.id}>{nameOf(s)}</option>
+              ))}
+              {student?.archivedAt && <option value={student.id}>{nameOf(student)} (archived)</option>}
+            </select>
+            <AddStudent onAdd={addStudent} />
+            <button
+              onClick={() => setPrefs((p) => ({ ...p, initialsOnly: !p.initialsOnly }))}
+              aria-pressed={prefs.initialsOnly}
+              title="Show student initials only, for a projected or shared screen"
+              className={`rounded-lg border px-2 py-1 text-sm ${prefs.initialsOnly ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+            >
+              A.B.
+            </button>
+            {lock && (
+              <button onClick={lockNow} title="Lock now" className="rounded-lg border px-2 py-1 text-sm hover:bg-gray-100">
+                Lock
+              </button>
+            )}
+          </div>
+
+          {sync.enabled && (
+            <span
+              className={`text-xs rounded-full px-2 py-0.5 border ${
+                syncStatus.state === "error" ? "border-red-300 text-red-700" : syncStatus.state === "offline" ? "border-amber-300 text-amber-700" : "text-gray-600"
+              }`}
+              title={syncStatus.message}
+            >
+              {syncStatus.state === "syncing" ? "Syncing…" : syncStatus.state === "error" ? "Sync error" : syncStatus.state === "offline" ? "Offline" : "Synced"}
+              {sync.queue.length > 0 && ` · ${sync.queue.length} pending`}
+            </span>
+          )}
+
+          {/* Actions */}
+          <div className="flex items-center gap-2">
+            <div className="flex items-center rounded-xl border overflow-hidden">
+              <button onClick={undo} disabled={!undoCounts.past} title="Undo (Ctrl+Z)" className="px-2.5 py-1.5 hover:bg-gray-100 disabled:opacity-40">↶</button>
+              <button onClick={redo} disabled={!undoCounts.future} title="Redo (Ctrl+Shift+Z)" className="px-2.5 py-1.5 border-l hover:bg-gray-100 disabled:opacity-40">↷</button>
+            </div>
+            <button
+              onClick={exportCSV}
+              className="rounded-xl border px-3 py-1.5 hover:bg-gray-100"
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={() => setExportOpen(true)}
+              className="rounded-xl border px-3 py-1.5 hover:bg-gray-100"
+            >
+              Export Range…
+            </button>
+            <button
+              onClick={printDaily}
+              className="rounded-xl border px-3 py-1.5 hover:bg-gray-100"
+            >
+              Print Daily
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="mx-auto max-w-7xl px-4 py-6 space-y-6">
+        {storageError && (
+          <section role="alert" className="rounded-2xl border border-amber-300 bg-amber-50 p-4 text-sm print:hidden">
+            <div className="flex items-start justify-between gap-3">
+              <p className="text-amber-800">
+                <span className="font-semibold">Not saved. </span>
+                {storageError}
+              </p>
+              <div className="flex gap-2">
+                <button className="rounded-lg border px-3 py-1.5 bg-white hover:bg-gray-100" onClick={exportBackupJSON}>
+                  Backup All Data
+                </button>
+                <button className="rounded-lg border px-3 py-1.5 bg-white hover:bg-gray-100" onClick={() => setStorageError(null)}>
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          </section>
+        )}
+        {loadErrors && (
+          <section className="rounded-2xl border border-red-300 bg-red-50 p-4 text-sm print:hidden">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <h2 className="font-semibold text-red-700">Saved data could not be loaded</h2>
+                <p className="text-red-700">
+                  The app started with empty data. Your saved data was kept aside and has not been deleted.
+                </p>
+                <ul className="list-disc ml-5 mt-1 text-red-700">
+                  {loadErrors.slice(0, 8).map((e) => <li key={e}>{e}</li>)}
+                  {loadErrors.length > 8 && <li>…and {loadErrors.length - 8} more</li>}
+                </ul>
+              </div>
+              <div className="flex flex-col gap-2">
+                {loaded.raw && (
+                  <button
+                    className="rounded-lg border px-3 py-1.5 bg-white hover:bg-gray-100"
+                    onClick={() => exportFile("behavior_rubric_unreadable_data.json", loaded.raw, "application/json")}
+                  >
+                    Download saved data
+                  </button>
+                )}
+                <button className="rounded-lg border px-3 py-1.5 bg-white hover:bg-gray-100" onClick={() => setLoadErrors(null)}>
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          </section>
+        )}
+        {view === "roster" ? (
+          <RosterView
+            entries={entries}
+            students={activeStudents}
+            sharedSettings={sharedSettings}
+            date={date}
+            initialsOnly={prefs.initialsOnly}
+            onScore={scoreCells}
+          />
+        ) : view === "calendar" ? (
+          <CalendarView
+            entries={entries}
+            students={students}
+            sharedSettings={sharedSettings}
+            initialStudentId={studentId}
+            date={date}
+            initialsOnly={prefs.initialsOnly}
+            onCalendar={setSchoolCalendar}
+            onOpenDay={(sid, iso) => {
+              setStudentId(sid);
+              setDate(iso);
+              setView("daily");
+            }}
+          />
+        ) : view === "trends" ? (
+          <TrendsView
+            entries={entries}
+            students={students}
+            sharedSettings={sharedSettings}
+            initialStudentId={studentId}
+            endDate={date}
+            initialsOnly={prefs.initialsOnly}
+            onPhases={setPhases}
+            onDecisionRules={setDecisionRules}
+          />
+        ) : view === "report" ? (
+          <ReportView
+            key={reportRequest?.id}
+            entries={entries}
+            students={students}
+            sharedSettings={sharedSettings}
+            initialStudentId={studentId}
+            initialFrom={reportRequest?.from ?? addDays(date, -6)}
+            initialTo={reportRequest?.to ?? date}
+            autoPrint={reportRequest?.print}
+            initialsOnly={prefs.initialsOnly}
+          />
+        ) : (
+        <>
+        {!student ? (
+          <section className="bg-white rounded-2xl shadow p-4 text-sm text-gray-600">
+            No student selected. Add a student, or restore one from the Archived list below.
+          </section>
+        ) : (
+        <>
+        {/* Summary card */}
+        <section className="grid md:grid-cols-3 gap-4 print:grid-cols-3">
+          <div className="bg-white rounded-2xl shadow p-4">
+            <h2 className="font-semibold mb-2">Summary</h2>
+            <div className="text-sm grid grid-cols-2 gap-1">
+              <div className="text-gray-500">Student</div>
+              <div>{nameOf(student)}</div>
+              <div className="text-gray-500">Date</div>
+              <div>{date}</div>
+              <div className="text-gray-500">Daily Total</div>
+              <div>{totalPoints} / {maxPoints} ({percent}%)</div>
+              <div className="text-gray-500">Goal</div>
+              <div>
+                {goalTarget} pts {goalMet ? "✅ Met" : "❌ Not Met"}
+                {goalTarget !== rubric.goalPoints && <div className="text-xs text-gray-500">prorated from {rubric.goalPoints}</div>}
+              </div>
+              <div className="text-gray-500">Formula</div>
+              <div className="text-xs text-gray-600">{describeFormula(rubric)}</div>
+              {goals.rules.length > 0 && (
+                <>
+                  <div className="text-gray-500">Tier</div>
+                  <div>{goals.tier ? GOAL_TIERS[goals.tier] : "None yet"}</div>
+                  {goals.rules.map((r) => (
+                    <React.Fragment key={r.rule.id}>
+                      <div className="text-gray-500 pl-2" title={describeGoalRule(r.rule, rubric)}>{r.rule.name}</div>
+                      <div>{r.met ? "✅" : "❌"} <span className="text-xs text-gray-500">{r.detail}</span></div>
+                    </React.Fragment>
+                  ))}
+                </>
+              )}
+              {tokenBalance !== null && (
+                <>
+                  <div className="text-gray-500">Tokens</div>
+                  <div>{tokenBalance} 🪙</div>
+                </>
+              )}
+              {measures.length > 0 && (
+                <div className="col-span-2 mt-1 pt-1 border-t text-xs text-gray-500">Counts & durations (not in points)</div>
+              )}
+              {measures.map((m) => (
+                <React.Fragment key={m.category.id}>
+                  <div className="text-gray-500">{m.category.name}</div>
+                  <div>{formatMeasure(m)}</div>
+                </React.Fragment>
+              ))}
+            </div>
+            <div className="mt-3">
+              <label className="text-sm text-gray-600">Staff / Recorder</label>
+              <input
+                className="mt-1 w-full rounded-xl border px-3 py-2"
+                placeholder="e.g., Mr. Smith"
+                value={record.staff ?? ""}
+                onChange={(e) => updateRecord({ staff: e.target.value })}
+              />
+            </div>
+            <label className="mt-2 flex items-center gap-2 text-sm text-gray-600 print:hidden">
+              <input type="checkbox" checked={Boolean(student?.cico)} onChange={(e) => setStudentCICO(e.target.checked)} />
+              Check-in/check-out (CICO)
+            </label>
+          </div>
+
+          {/* Goal & Settings quick */}
+          <div className="bg-white rounded-2xl shadow p-4">
+            <h2 className="font-semibold mb-2">Goal & Scale</h2>
+            <label className="text-sm text-gray-600">Daily Point Goal</label>
+            <input
+              type="number"
+              className="mt-1 w-full rounded-xl border px-3 py-2"
+              value={settings.goalPoints}
+              onChange={(e) => setSettings((prev) => ({ ...prev, goalPoints: clamp(parseInt(e.target.value || 0, 10), 0, 999) }))}
+            />
+            <div className="grid grid-cols-2 gap-2 mt-3">
+              <div>
+                <label className="text-sm text-gray-600">Max score per cell</label>
+                <input
+                  type="number"
+                  className="mt-1 w-full rounded-xl border px-3 py-2"
+                  value={settings.scaleMax}
+                  onChange={(e) => setSettings((prev) => ({ ...prev, scaleMax: clamp(parseInt(e.target.value || 0, 10), 1, 10) }))}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">Scale labels (0..max)</label>
+                <ScaleLabelsEditor settings={settings} setSettings={setSettings} />
+              </div>
+            </div>
+          </div>
+
+          {/* Daily note */}
+          <div className="bg-white rounded-2xl shadow p-4 print:col-span-1">
+            <h2 className="font-semibold mb-2">Daily Note</h2>
+            <textarea
+              className="w-full min-h-[104px] rounded-xl border px-3 py-2"
+              placeholder="Highlights, triggers, reinforcers, home-school notes..."
+              value={record.dailyNote ?? ""}
+              onChange={(e) => updateRecord({ dailyNote: e.target.value })}
+            />
+          </div>
+        </section>
+
+        {cicoOn && (
+          <CheckInCard
+            cico={record.cico ?? {}}
+            materials={cicoMaterialsOf(sharedSettings)}
+            goalTarget={goalTarget}
+            onChange={updateCICO}
+            onMaterials={setCICOMaterials}
+          />
+        )}
+
+        {/* Matrix */}
+        <section className="bg-white rounded-2xl shadow overflow-x-auto">
+          <div className="p-4 border-b flex items-center justify-between gap-2">
+            <h2 className="font-semibold">Daily Rubric</h2>
+            <div className="flex items-center gap-2 text-sm">
+              {isHistorical && (
+                <span className="text-amber-700">
+                  Scored under an earlier rubric — settings edits apply to new days.{" "}
+                  <button onClick={applyCurrentRubric} className="underline print:hidden">Use current rubric</button>
+                </span>
+              )}
+              <button onClick={() => setHistoryOpen("record")} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">
+                History{record.history?.length ? ` (${record.history.length})` : ""}
+              </button>
+              <button onClick={addPeriod} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">+ Period</button>
+              <button onClick={addCategory} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">+ Category</button>
+            </div>
+          </div>
+          <div className="px-4 pt-2 flex items-center gap-4 flex-wrap text-xs text-gray-600 print:hidden">
+            <span id="grid-help">
+              Arrow keys move between cells. Type 0–{rubric.scaleMax} to score, Delete to clear, Enter for more choices
+              (tallies and timers: Enter adds or starts, − removes or resets).
+            </span>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={prefs.autoAdvance} onChange={(e) => setPrefs((p) => ({ ...p, autoAdvance: e.target.checked }))} />
+              Auto-advance
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={prefs.largeTouch} onChange={(e) => setPrefs((p) => ({ ...p, largeTouch: e.target.checked }))} />
+              Large touch targets
+            </label>
+          </div>
+          <div aria-live="polite" className="sr-only">{announcement}</div>
+          <table
+            ref={gridRef}
+            role="grid"
+            aria-label="Daily rubric scores"
+            aria-describedby="grid-help"
+            className={`w-full ${prefs.largeTouch ? "text-base" : "text-sm"}`}
+            onKeyDown={onGridKey}
+          >
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="p-2 text-left sticky left-0 bg-gray-50 z-10">Period / Category</th>
+                {rubric.categories.map((c) => (
+                  <th key={c.id} role="columnheader" className="p-2 text-left">
+                    {isHistorical ? (
+                      <span className="font-medium">{c.name}</span>
+                    ) : (
+                      <EditableText
+                        value={c.name}
+                        onChange={(v) => setSettings((prev) => ({
+                          ...prev,
+                          categories: prev.categories.map((x) => x.id === c.id ? { ...x, name: v } : x),
+                        }))}
+                      />
+                    )}
+                    {!isScored(c) && <div className="text-xs font-normal text-gray-500">{categoryType(c)} · not in points</div>}
+                    {scoringNote(c) && <div className="text-xs font-normal text-gray-500">{scoringNote(c)}</div>}
+                  </th>
+                ))}
+                <th className="p-2 text-left">Period Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rubric.periods.map((p, row) => (
+                <tr
+                  key={p.id}
+                  className={`border-t ${p.id === nowPeriodId ? "bg-amber-50 outline outline-2 outline-amber-300" : "odd:bg-white even:bg-gray-50"}`}
+                  aria-current={p.id === nowPeriodId ? "time" : undefined}
+                >
+                  <td role="rowheader" className="p-2 sticky left-0 bg-inherit z-10">
+                    {isHistorical ? (
+                      <span className="font-medium">{p.name}</span>
+                    ) : (
+                      <EditableText
+                        value={p.name}
+                        onChange={(v) => setSettings((prev) => ({
+                          ...prev,
+                          periods: prev.periods.map((x) => x.id === p.id ? { ...x, name: v } : x),
+                        }))}
+                      />
+                    )}
+                    {(p.start || p.id === nowPeriodId || weightOf(p) !== 1) && (
+                      <div className="text-xs text-gray-500 flex items-center gap-2">
+                        {p.start && p.name !== `${formatTime(p.start)}–${formatTime(p.end)}` && (
+                          <span>{formatTime(p.start)}–{formatTime(p.end)}</span>
+                        )}
+                        {weightOf(p) !== 1 && <span title="Period weight">×{weightOf(p)}</span>}
+                        {p.id === nowPeriodId && <span className="rounded-full bg-amber-200 text-amber-900 px-1.5">Now</span>}
+                      </div>
+                    )}
+                    <div className="mt-1">
+                      <input
+                        className="w-full rounded-lg border px-2 py-1"
+                        placeholder="Comment (optional)"
+                        value={record.periodComments?.[p.id] ?? ""}
+                        onChange={(e) => updateRecord({
+                          periodComments: { ...record.periodComments, [p.id]: e.target.value },
+                        })}
+                      />
+                      <select
+                        aria-label={`Status for ${p.name}`}
+                        className={`mt-1 w-full rounded-lg border px-2 py-1 text-xs ${record.periodStatus?.[p.id] ? "bg-amber-50" : "text-gray-500"}`}
+                        value={record.periodStatus?.[p.id] ?? ""}
+                        onChange={(e) => updateRecord({
+                          periodStatus: { ...record.periodStatus, [p.id]: e.target.value || null },
+                        })}
+                      >
+                        <option value="">Present (scored)</option>
+                        {Object.entries(CELL_STATUSES).map(([id, st]) => (
+                          <option key={id} value={id}>{st.label} — whole period</option>
+                        ))}
+                      </select>
+                    </div>
+                  </td>
+
+                  {rubric.categories.map((c, col) =>
+                    isScored(c) ? (
+                      <ScoreCell
+                        key={c.id}
+                        id={`${row},${col}`}
+                        label={`${p.name} — ${c.name}`}
+                        rubric={rubric}
+                        score={record.matrix?.[p.id]?.[c.id] ?? null}
+                        status={statusOf(record, p.id, c.id)}
+                        periodLocked={Boolean(record.periodStatus?.[p.id])}
+                        time={record.cellTimes?.[p.id]?.[c.id]}
+                        active={row === activeRow && col === activeCol}
+                        open={openCell === `${row},${col}`}
+                        large={prefs.largeTouch}
+                        onFocus={() => setActiveCell([row, col])}
+                        onToggle={() => setOpenCell((o) => (o === `${row},${col}` ? null : `${row},${col}`))}
+                        onClose={() => setOpenCell((o) => (o === `${row},${col}` ? null : o))}
+                        onPick={(choice) => pickFromGrid(row, col, choice)}
+                      />
+                    ) : (
+                      <td
+                        key={c.id}
+                        role="gridcell"
+                        data-grid-cell={`${row},${col}`}
+                        tabIndex={row === activeRow && col === activeCol ? 0 : -1}
+                        aria-label={`${p.name} — ${c.name}`}
+                        onFocus={(e) => e.target === e.currentTarget && setActiveCell([row, col])}
+                        className="p-2 align-top focus:outline focus:outline-2 focus:outline-blue-500"
+                      >
+                        <MeasureCell
+                          type={categoryType(c)}
+                          label={`${p.name} — ${c.name}`}
+                          value={measureValue(record, p.id, c, now)}
+                          running={Boolean(record.timers?.[p.id]?.[c.id])}
+                          large={prefs.largeTouch}
+                          onAdd={(delta) => bumpTally(p.id, c.id, delta)}
+                          onStart={() => startTimer(p.id, c.id)}
+                          onStop={() => stopTimer(p.id, c.id)}
+                          onClear={() => clearDuration(p.id, c.id)}
+                        />
+                      </td>
+                    )
+                  )}
+
+                  <td className="p-2 font-medium">
+                    {perPeriodTotals[p.id].total} / {perPeriodTotals[p.id].max}
+                    {goals.rules.filter((r) => r.perPeriod).map((r) => (
+                      <div key={r.rule.id} className="text-[10px] font-normal text-gray-500" title={describeGoalRule(r.rule, rubric)}>
+                        {r.perPeriod[p.id] === null ? "–" : r.perPeriod[p.id] ? "✓" : "✗"} {r.rule.name}
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="border-t bg-gray-100">
+                <td className="p-2 font-semibold">Daily Total</td>
+                <td className="p-2" colSpan={rubric.categories.length}>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <div className="font-semibold">{totalPoints} / {maxPoints} ({percent}%)</div>
+                    <div className="text-xs text-gray-600">
+                      Goal: {goalTarget} pts{goalTarget !== rubric.goalPoints && ` (prorated from ${rubric.goalPoints})`} — {goalMet ? "✅ Met" : "❌ Not Met"}
+                    </div>
+                    {goals.rules.map((r) => (
+                      <div key={r.rule.id} className="text-xs text-gray-600" title={describeGoalRule(r.rule, rubric)}>
+                        {GOAL_TIERS[r.rule.tier ?? "bronze"].split(" ")[0]} {r.rule.name}: {r.met ? "✅" : "❌"} ({r.detail})
+                      </div>
+                    ))}
+                    {measures.map((m) => (
+                      <div key={m.category.id} className="text-xs text-gray-600">{m.category.name}: {formatMeasure(m)}</div>
+                    ))}
+                  </div>
+                </td>
+                <td className="p-2"></td>
+              </tr>
+            </tfoot>
+          </table>
+        </section>
+
+        {cicoOn && <CheckOutCard cico={record.cico ?? {}} review={cicoReview(record, totals)} totals={totals} onChange={updateCICO} />}
+        </>
+        )}
+
+        {student && (
+          <RewardsPanel
+            student={student}
+            entries={entries}
+            settings={settings}
+            setSettings={setSettings}
+            date={date}
+            onLedger={addLedgerEntry}
+            onUndo={removeLedgerEntry}
+            initialsOnly={prefs.initialsOnly}
+            onDownload={exportFile}
+          />
+        )}
+
+        {/* Settings panel */}
+        <section className="bg-white rounded-2xl shadow p-4">
+          <div className="flex items-center justify-between flex-wrap gap-3">
+            <h2 className="font-semibold">
+              Settings{" "}
+              <span className="text-sm font-normal text-gray-500">
+                {hasOwnSettings ? `— ${nameOf(student)}'s own rubric` : "— shared template"}
+              </span>
+            </h2>
+            <div className="flex items-center gap-2">
+              <label className="rounded-lg border px-3 py-1.5 cursor-pointer hover:bg-gray-50">
+                Import JSON
+                <input type="file" className="hidden" accept="application/json" onChange={(e) => e.target.files?.[0] && importSettingsJSON(e.target.files[0])} />
+              </label>
+              <button onClick={exportSettingsJSON} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Export JSON</button>
+              <button onClick={() => setTemplatesOpen(true)} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Templates…</button>
+              <button onClick={() => setHistoryOpen("settings")} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Change Log</button>
+              <button onClick={exportBackupJSON} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Backup All Data</button>
+              <label className="rounded-lg border px-3 py-1.5 cursor-pointer hover:bg-gray-50">
+                Restore Backup…
+                <input
+                  type="file"
+                  className="hidden"
+                  accept="application/json"
+                  onChange={(e) => {
+                    e.target.files?.[0] && openBackupFile(e.target.files[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+              <label className="rounded-lg border px-3 py-1.5 cursor-pointer hover:bg-gray-50">
+                Import CSV…
+                <input
+                  type="file"
+                  className="hidden"
+                  accept=".csv,text/csv,application/json"
+                  onChange={(e) => {
+                    e.target.files?.[0] && openImportCSV(e.target.files[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6 mt-4">
+            <div>
+              <h3 className="font-medium mb-2">Categories</h3>
+              <ReorderableList
+                items={settings.categories}
+                setItems={(items) => setSettings((prev) => ({ ...prev, categories: items }))}
+                renderExtra={(it, update) => (
+                  <>
+                    <select
+                      aria-label="Category type"
+                      className="rounded-lg border px-1 py-1.5 text-sm"
+                      value={categoryType(it)}
+                      onChange={(e) => update({ type: e.target.value })}
+                    >
+                      {Object.entries(CATEGORY_TYPES).map(([id, label]) => (
+                        <option key={id} value={id}>{label}</option>
+                      ))}
+                    </select>
+                    {isScored(it) && (
+                      <>
+                        <WeightInput value={it.weight} onChange={(weight) => update({ weight })} />
+                        <label className="flex items-center gap-1 text-xs" title="Lower scores are better; counts as scale max − score">
+                          <input type="checkbox" checked={Boolean(it.reverse)} onChange={(e) => update({ reverse: e.target.checked || undefined })} />
+                          Reverse
+                        </label>
+                        <label className="flex items-center gap-1 text-xs" title="Scored and shown, but not part of points, percent or the goal">
+                          <input
+                            type="checkbox"
+                            checked={!it.excludeFromTotal}
+                            onChange={(e) => update({ excludeFromTotal: e.target.checked ? undefined : true })}
+                          />
+                          In total
+                        </label>
+                      </>
+                    )}
+                  </>
+                )}
+              />
+            </div>
+            <div>
+              <div className="flex items-center justify-between mb-2 gap-2">
+                <h3 className="font-medium">Periods</h3>
+                <select
+                  className="rounded-lg border px-2 py-1 text-sm"
+                  value={settings.periodMode ?? "named"}
+                  onChange={(e) => setSettings((prev) => ({ ...prev, periodMode: e.target.value }))}
+                >
+                  <option value="named">Named periods</option>
+                  <option value="schedule">Schedule (start/end times)</option>
+                  <option value="interval">Interval grid</option>
+                </select>
+              </div>
+              {settings.periodMode === "interval" && (
+                <div className="flex items-end gap-2 flex-wrap text-sm mb-3">
+                  {[
+                    ["start", "From"],
+                    ["end", "To"],
+                  ].map(([field, label]) => (
+                    <label key={field} className="flex flex-col text-gray-600">
+                      {label}
+                      <input
+                        type="time"
+                        className="rounded-lg border px-2 py-1 w-28"
+                        value={(settings.interval ?? DEFAULT_INTERVAL)[field]}
+                        onChange={(e) => setIntervalField(field, e.target.value)}
+                      />
+                    </label>
+                  ))}
+                  <label className="flex flex-col text-gray-600">
+                    Every (min)
+                    <ClampedNumberInput
+                      min={5}
+                      max={240}
+                      className="rounded-lg border px-2 py-1 w-28"
+                      value={(settings.interval ?? DEFAULT_INTERVAL).minutes}
+                      onChange={(minutes) => setIntervalField("minutes", minutes)}
+                    />
+                  </label>
+                  <button onClick={generateIntervalGrid} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Generate grid</button>
+                </div>
+              )}
+              <ReorderableList
+                items={settings.periods}
+                setItems={(items) => setSettings((prev) => ({ ...prev, periods: items }))}
+                renderExtra={(it, update) => (
+                  <>
+                    {settings.periodMode && settings.periodMode !== "named" && (
+                      <>
+                        <input type="time" aria-label="Start" className="rounded-lg border px-1 py-1" value={it.start ?? ""} onChange={(e) => update({ start: e.target.value })} />
+                        <input type="time" aria-label="End" className="rounded-lg border px-1 py-1" value={it.end ?? ""} onChange={(e) => update({ end: e.target.value })} />
+                      </>
+                    )}
+                    <WeightInput value={it.weight} onChange={(weight) => update({ weight })} />
+                  </>
+                )}
+              />
+            </div>
+          </div>
+
+          <div className="mt-6">
+            <div className="flex items-center justify-between mb-2 gap-2">
+              <h3 className="font-medium">
+                Goal rules <span className="text-sm font-normal text-gray-500">(in addition to the daily point goal)</span>
+              </h3>
+              <button onClick={addGoalRule} className="rounded-lg border px-3 py-1.5 text-sm hover:bg-gray-100">+ Goal rule</button>
+            </div>
+            <ReorderableList
+              items={settings.goalRules ?? []}
+              setItems={(items) => setSettings((prev) => ({ ...prev, goalRules: items }))}
+              renderExtra={(it, update) => (
+                <div className="flex items-center gap-1 text-sm flex-wrap">
+                  <select aria-label="Tier" className="rounded-lg border px-1 py-1.5" value={it.tier ?? "bronze"} onChange={(e) => update({ tier: e.target.value })}>
+                    {Object.entries(GOAL_TIERS).map(([id, label]) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  <select aria-label="Rule" className="rounded-lg border px-1 py-1.5" value={it.type} onChange={(e) => update({ type: e.target.value })}>
+                    {Object.entries(GOAL_RULE_TYPES).map(([id, label]) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  {it.type === "categoryMin" && (
+                    <select aria-label="Category" className="rounded-lg border px-1 py-1.5" value={it.categoryId ?? ""} onChange={(e) => update({ categoryId: e.target.value })}>
+                      <option value="">Choose…</option>
+                      {settings.categories.filter(isScored).map((c) => (
+                        <option key={c.id} value={c.id}>{c.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  <input type="number" aria-label="Minimum" className="w-16 rounded-lg border px-1 py-1" value={it.min} onChange={(e) => update({ min: clamp(parseInt(e.target.value || 0, 10), 0, 999) })} />
+                  {it.type !== "dailyPercent" && (
+                    <label className="flex items-center gap-1 text-gray-600">
+                      in
+                      <input
+                        type="number"
+                        aria-label="Periods needed"
+                        className="w-14 rounded-lg border px-1 py-1"
+                        value={it.count || ""}
+                        placeholder="all"
+                        onChange={(e) => update({ count: clamp(parseInt(e.target.value || 0, 10), 0, settings.periods.length) })}
+                      />
+                      of {settings.periods.length}
+                    </label>
+                  )}
+                </div>
+              )}
+            />
+          </div>
+        </section>
+
+        {/* Student management */}
+        <section className="bg-white rounded-2xl shadow p-4">
+          <div className="flex items-center justify-between flex-wrap gap-2 mb-2">
+            <h2 className="font-semibold">Students</h2>
+            <StorageEstimate />
+          </div>
+          <div className="space-y-2">
+            {activeStudents.map((s) => (
+              <div key={s.id} className="flex items-center gap-2">
+                {prefs.initialsOnly ? (
+                  <span className="min-w-[10rem] px-3 py-1.5">{nameOf(s)}</span>
+                ) : (
+                  <input
+                    className="rounded-lg border px-3 py-1.5"
+                    value={s.name}
+                    onChange={(e) => renameStudent(s.id, e.target.value)}
+                  />
+                )}
+                <select
+                  className="rounded-lg border px-2 py-1.5 text-sm"
+                  title="Rubric"
+                  value={s.settings ? "own" : "shared"}
+                  onChange={(e) => setStudentRubric(s.id, e.target.value)}
+                >
+                  <option value="shared">Shared template</option>
+                  <option value="own">Own rubric</option>
+                  {students.filter((x) => x.id !== s.id).map((x) => (
+                    <option key={x.id} value={x.id}>Copy from {nameOf(x)}</option>
+                  ))}
+                </select>
+                <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => setStudentId(s.id)}>Select</button>
+                <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => archiveStudent(s.id)}>Archive</button>
+                <span className="text-xs text-gray-500">
+                  {usage.get(s.id)?.days ?? 0} days · {formatBytes(usage.get(s.id)?.bytes ?? 0)}
+                </span>
+              </div>
+            ))}
+          </div>
+          {archivedStudents.length > 0 && (
+            <div className="mt-4">
+              <h3 className="font-medium mb-2 text-gray-700">Archived</h3>
+              <div className="space-y-2">
+                {archivedStudents.map((s) => (
+                  <div key={s.id} className="flex items-center gap-2 flex-wrap text-sm">
+                    <span className="min-w-[10rem]">{nameOf(s)}</span>
+                    <span className="text-xs text-gray-500">
+                      archived {s.archivedAt.slice(0, 10)} · {usage.get(s.id)?.days ?? 0} days · {formatBytes(usage.get(s.id)?.bytes ?? 0)}
+                    </span>
+                    <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => restoreStudent(s.id)}>Restore</button>
+                    <button className="rounded-lg border px-3 py-1.5 hover:bg-red-50 text-red-600" onClick={() => deleteStudentForever(s.id)}>
+                      Delete permanently…
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </section>
+        </>
+        )}
+
+        {view === "daily" && (
+          <SyncPanel
+            sync={sync}
+            status={syncStatus}
+            onConfigure={configureSync}
+            onEnable={setSyncEnabled}
+            onSyncNow={syncNow}
+          />
+        )}
+
+        {view === "daily" && (
+          <SecurityPanel
+            lock={currentLock}
+            prefs={prefs}
+            onPrefs={(patch) => setPrefs((p) => ({ ...p, ...patch }))}
+            onSetPasscode={setPasscode}
+            onRemovePasscode={removePasscode}
+            onLockMinutes={changeLockMinutes}
+            onLockNow={lockNow}
+            onOpenEncrypted={openEncryptedFile}
+          />
+        )}
+
+        <footer className="text-center text-xs text-gray-500 pb-12 print:hidden">
+          Built for quick, school-friendly data collection. Save/export often if using shared devices.
+        </footer>
+      </main>
+
+      {exportOpen && (
+        <ExportDialog
+          entries={entries}
+          students={students}
+          sharedSettings={sharedSettings}
+          initialStudentId={studentId}
+          endDate={date}
+          initialsOnly={prefs.initialsOnly}
+          onDownload={exportFile}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
+
+      {historyOpen && (
+        <Modal
+          title={historyOpen === "record" ? `Change history — ${nameOf(student)}, ${date}` : "Settings change log"}
+          onClose={() => setHistoryOpen(null)}
+        >
+          <HistoryList items={historyOpen === "record" ? record.history ?? [] : settingsLog} />
+        </Modal>
+      )}
+
+      {restoreBackup && (
+        <RestoreDialog
+          backup={restoreBackup}
+          local={restoreLocal}
+          onReplace={replaceAllData}
+          onMerge={mergeData}
+          onClose={() => setRestoreBackup(null)}
+        />
+      )}
+
+      {templatesOpen && (
+        <TemplateDialog
+          templates={templates}
+          students={activeStudents}
+          studentId={studentId}
+          scope={hasOwnSettings ? `${nameOf(student)}'s own rubric` : "the shared template"}
+          initialsOnly={prefs.initialsOnly}
+          onApply={applyTemplateTo}
+          onSave={saveTemplate}
+          onDelete={deleteTemplate}
+          onDownload={downloadTemplate}
+          onImport={importTemplateFile}
+          onClose={() => setTemplatesOpen(false)}
+        />
+      )}
+
+      {csvImport && (
+        <ImportDialog
+          parsed={csvImport}
+          local={importLocal}
+          initialsOnly={prefs.initialsOnly}
+          onImport={applyImport}
+          onClose={() => setCsvImport(null)}
+        />
+      )}
+
+      {/* Print styles */}
+      <style>{`
+        @media print {
+          header, footer, .print\:hidden { display: none !important; }
+          .print\:grid-cols-3 { grid-template-columns: repeat(3, minmax(0, 1fr)); }
+          .rounded-2xl { border-radius: 0; box-shadow: none; }
+          .shadow { box-shadow: none; }
+          body { background: white; }
+          main { max-width: none !important; padding: 0 !important; }
+          .report table { page-break-inside: auto; }
+          .report tr, .report h3 { page-break-inside: avoid; }
+          @page { margin: 12mm; }
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ---- Small Components ----
+function EditableText({ value, onChange }) {
+  const [editing, setEditing] = useState(false);
+  const [val, setVal] = useState(value);
+  useEffect(() => setVal(value), [value]);
+  return (
+    <div>
+      {editing ? (
+        <input
+          autoFocus
+          className="rounded-lg border px-2 py-1 w-full"
+          value={val}
+          onChange={(e) => setVal(e.target.value)}
+          onBlur={() => { setEditing(false); onChange(val.trim() || value); }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") { setEditing(false); onChange(val.trim() || value); }
+            if (e.key === "Escape") { setEditing(false); setVal(value); }
+          }}
+        />
+      ) : (
+        <button
+          type="button"
+          className="text-left font-medium hover:underline"
+          onClick={() => setEditing(true)}
+        >
+          {value}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Whole number kept within [min, max]. The typed text stays as it is while editing, so
+// "1" on the way to "12" isn't bumped up to min; it is clamped on blur or Enter.
+function ClampedNumberInput({ value, min, max, onChange, ...props }) {
+  const [text, setText] = useState(null); // null while not editing
+  const commit = () => {
+    if (text === null) return;
+    setText(null);
+    onChange(clamp(parseInt(text || 0, 10) || 0, min, max));
+  };
+  return (
+    <input
+      {...props}
+      type="number"
+      min={min}
+      max={max}
+      value={text ?? value}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+    />
+  );
+}
+
+function AddStudent({ onAdd }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  return (
+    <div className="relative">
+      {!open ? (
+        <button className="rounded-xl border px-3 py-1.5 hover:bg-gray-100" onClick={() => setOpen(true)}>+ Student</button>
+      ) : (
+        <div className="flex items-center gap-2">
+          <input className="rounded-lg border px-2 py-1" placeholder="Student name" value={name} onChange={(e) => setName(e.target.value)} />
+          <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => { onAdd(name); setName(""); setOpen(false); }}>Add</button>
+          <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => setOpen(false)}>Cancel</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ScaleLabelsEditor({ settings, setSettings }) {
+  const labels = Array.from({ length: settings.scaleMax + 1 }, (_, i) => i);
+  return (
+    <div className="space-y-1">
+      {labels.map((n) => (
+        <div key={n} className="flex items-center gap-2">
+          <span className="text-xs w-5 text-gray-500">{n}</span>
+          <input
+            className="flex-1 rounded-lg border px-2 py-1"
+            value={settings.scaleLabels?.[n] ?? ""}
+            onChange={(e) => setSettings((prev) => ({
+              ...prev,
+              scaleLabels: { ...prev.scaleLabels, [n]: e.target.value },
+            }))}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Weight for a category or period; 1 (the default) is stored as no weight at all
+function WeightInput({ value, onChange }) {
+  return (
+    <label className="flex items-center gap-0.5 text-xs text-gray-600" title="Weight: points count this many times">
+      ×
+      <input
+        type="number"
+        min="0"
+        step="0.5"
+        aria-label="Weight"
+        className="w-14 rounded-lg border px-1 py-1 text-sm"
+        value={value ?? 1}
+        onChange={(e) => {
+          const n = Math.max(0, Number(e.target.value) || 0);
+          onChange(n === 1 ? undefined : n);
+        }}
+      />
+    </label>
+  );
+}
+
+// Big tap targets for tally counters and start/stop duration timers
+// Buttons skip the tab order: the grid cell around them is the tab stop and presses them for keys
+function MeasureCell({ type, label, value, running, large, onAdd, onStart, onStop, onClear }) {
+  const size = large ? "min-h-[3rem] min-w-[3rem]" : "";
+  if (type === "tally") {
+    return (
+      <div className="flex items-stretch gap-1">
+        <button
+          tabIndex={-1}
+          className={`flex-1 rounded-lg border px-3 py-2 text-lg font-semibold hover:bg-blue-50 active:bg-blue-100 ${size}`}
+          aria-label={`Add one: ${label} (now ${value})`}
+          onClick={() => onAdd(1)}
+        >
+          {value} <span className="text-sm text-blue-600">+</span>
+        </button>
+        <button tabIndex={-1} className={`rounded-lg border px-2 hover:bg-gray-100 ${size}`} aria-label={`Remove one: ${label}`} disabled={value === 0} onClick={() => onAdd(-1)}>
+          −
+        </button>
+      </div>
+    );
+  }
+  return (
+    <div className="flex items-stretch gap-1">
+      <button
+        tabIndex={-1}
+        className={`flex-1 rounded-lg border px-3 py-2 font-mono font-semibold ${running ? "bg-red-50 border-red-300 text-red-700" : "hover:bg-blue-50"} ${size}`}
+        aria-label={`${running ? "Stop" : "Start"} timer: ${label} (${formatDuration(value)})`}
+        onClick={running ? onStop : onStart}
+      >
+        {running ? "■" : "▶"} {formatDuration(value)}
+      </button>
+      <button tabIndex={-1} className={`rounded-lg border px-2 hover:bg-gray-100 ${size}`} aria-label={`Reset timer: ${label}`} disabled={running || value === 0} onClick={onClear}>
+        ✕
+      </button>
+    </div>
+  );
+}
+
+// One scored cell of the daily grid. Keys are handled by the grid; a click or Enter shows
+// the choices (scores, statuses, clear), which stay showing in large-touch mode.
+function ScoreCell({ id, label, rubric, score, status, periodLocked, time, active, open, large, onFocus, onToggle, onClose, onPick }) {
+  const choicesRef = useRef(null);
+  const showChoices = !periodLocked && (open || large);
+  // Opened from the keyboard: move focus to the current choice
+  useEffect(() => {
+    if (!open) return;
+    const el = choicesRef.current;
+    (el?.querySelector('[aria-checked="true"]') ?? el?.querySelector("button"))?.focus();
+  }, [open]);
+  const valueText = status
+    ? CELL_STATUSES[status]?.label ?? status
+    : score === null
+      ? "not scored"
+      : `${score} — ${rubric.scaleLabels?.[score] ?? `Level ${score}`}`;
+  const choice = (key, text, title, checked, value) => (
+    <button
+      key={key}
+      type="button"
+      role="radio"
+      tabIndex={-1}
+      aria-checked={checked}
+      title={title}
+      onClick={() => onPick(checked ? null : value)}
+      className={`rounded-lg border ${large ? "min-w-[2.75rem] min-h-[2.75rem] text-base" : "min-w-[2rem] px-1.5 py-1 text-xs"} ${
+        checked ? (typeof value === "string" ? "bg-amber-500 text-white border-amber-500" : "bg-blue-600 text-white border-blue-600") : "bg-white hover:bg-gray-100"
+      }`}
+    >
+      {text}
+    </button>
+  );
+  return (
+    <td
+      role="gridcell"
+      data-grid-cell={id}
+      tabIndex={active ? 0 : -1}
+      aria-label={`${label}: ${valueText}`}
+      aria-disabled={periodLocked || undefined}
+      aria-expanded={large ? undefined : open}
+      onFocus={(e) => e.target === e.currentTarget && onFocus()}
+      onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && onClose()}
+      onClick={(e) => !large && !periodLocked && !choicesRef.current?.contains(e.target) && onToggle()}
+      className={`p-2 align-top cursor-pointer focus:outline focus:outline-2 focus:outline-blue-500 ${status ? "bg-amber-50 text-amber-900" : ""}`}
+    >
+      {!large && (
+        <div className={`rounded-lg border px-2 py-1 ${periodLocked ? "text-gray-400" : ""}`}>
+          {status ? statusCode(status) : score ?? "—"}
+          {score !== null && !status && <span className="text-xs text-gray-500"> {rubric.scaleLabels?.[score] ?? ""}</span>}
+        </div>
+      )}
+      {showChoices && (
+        <div ref={choicesRef} role="radiogroup" aria-label={label} className="flex flex-wrap gap-1 mt-1">
+          {Array.from({ length: rubric.scaleMax + 1 }, (_, n) =>
+            choice(n, n, rubric.scaleLabels?.[n] ?? `Level ${n}`, !status && score === n, n)
+          )}
+          {Object.entries(CELL_STATUSES).map(([sid, st]) => choice(sid, st.code, st.label, status === sid, sid))}
+        </div>
+      )}
+      {large && periodLocked && <div className="text-gray-400">{statusCode(status)}</div>}
+      {time && (
+        <div className="text-[10px] text-gray-400 mt-0.5" title={time}>
+          {formatClock(time)}
+        </div>
+      )}
+    </td>
+  );
+}
+
+// `renderExtra(item, update)` adds per-item controls after the name; update(patch) merges into the item
+function ReorderableList({ items, setItems, renderExtra }) {
+  function move(idx, dir) {
+    const j = idx + dir;
+    if (j < 0 || j >= items.length) return;
+    const next = [...items];
+    const [it] = next.splice(idx, 1);
+    next.splice(j, 0, it);
+    setItems(next);
+  }
+  function remove(idx) {
+    if (!confirm(`Delete "${items[idx].name}"? Undo with Ctrl+Z.`)) return;
+    const next = [...items];
+    next.splice(idx, 1);
+    setItems(next);
+  }
+  function update(idx, patch) {
+    const next = [...items];
+    next[idx] = { ...next[idx], ...patch };
+    setItems(next);
+  }
+  return (
+    <div className="space-y-2">
+      {items.map((it, i) => (
+        <div key={it.id} className="flex items-center gap-2">
+          <input className="flex-1 min-w-0 rounded-lg border px-3 py-1.5" value={it.name} onChange={(e) => update(i, { name: e.target.value })} />
+          {renderExtra?.(it, (patch) => update(i, patch))}
+          <div className="flex items-center gap-1">
+            <button className="rounded-md border px-2 py-1 hover:bg-gray-100" onClick={() => move(i, -1)} title="Move up">↑</button>
+            <button className="rounded-md border px-2 py-1 hover:bg-gray-100" onClick={() => move(i, +1)} title="Move down">↓</button>
+            <button className="rounded-md border px-2 py-1 hover:bg-red-50 text-red-600" onClick={() => remove(i)} title="Remove">✕</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Newest first. Settings log entries also name the rubric they changed (`scope`). Runs of
+// edits to one field show as one row unless "Every edit" is ticked.
+function HistoryList({ items }) {
+  const [every, setEvery] = useState(false);
+  if (items.length === 0) return <p className="text-sm text-gray-500">No changes recorded yet.</p>;
+  const rows = every ? items.map((h) => ({ ...h, count: 1 })) : groupHistory(items);
+  return (
+    <div className="max-h-[60vh] overflow-y-auto">
+      <label className="flex items-center gap-1 text-xs text-gray-600 mb-1">
+        <input type="checkbox" checked={every} onChange={(e) => setEvery(e.target.checked)} />
+        Every edit ({items.length})
+      </label>
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 sticky top-0">
+          <tr>
+            <th className="p-1.5 text-left">When</th>
+            <th className="p-1.5 text-left">Who</th>
+            <th className="p-1.5 text-left">What</th>
+            <th className="p-1.5 text-left">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...rows].reverse().map((h, i) => (
+            <tr key={i} className="border-t align-top">
+              <td className="p-1.5 whitespace-nowrap" title={h.ts}>{new Date(h.ts).toLocaleString()}</td>
+              <td className="p-1.5">{h.by}</td>
+              <td className="p-1.5">{h.scope ? `${h.scope}: ` : ""}{h.field}</td>
+              <td className="p-1.5">
+                <span className="text-gray-500 line-through decoration-gray-300">{h.from}</span> → {h.to}
+                {h.count > 1 && <span className="text-xs text-gray-500"> ({h.count} edits)</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// What the browser reports for this site's storage, where it can tell
+function StorageEstimate() {
+  const [estimate, setEstimate] = useState(null);
+  useEffect(() => {
+    navigator.storage?.estimate?.().then(setEstimate, () => {});
+  }, []);
+  if (!estimate?.quota) return null;
+  return (
+    <span className="text-xs text-gray-500">
+      Browser storage: {formatBytes(estimate.usage ?? 0)} of {formatBytes(estimate.quota)} used
+    </span>
+  );
+}
+
+// ---- Range Export ----
+function Modal({ title, onClose, children }) {
+  return (
+    <div className="fixed inset-0 z-20 bg-black/30 flex items-start justify-center p-4 overflow-y-auto print:hidden" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        className="bg-white rounded-2xl shadow p-4 w-full max-w-2xl mt-12"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-semibold">{title}</h2>
+          <button className="rounded-md border px-2 py-1 hover:bg-gray-100" onClick={onClose} title="Close">✕</button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+function ExportDialog({ entries, students, sharedSettings, initialStudentId, endDate, initialsOnly, onDownload, onClose }) {
+  const [from, setFrom] = useState(() => addDays(endDate, -29));
+  const [to, setTo] = useState(endDate);
+  const [selected, setSelected] = useState(() => new Set([initialStudentId]));
+  const [layout, setLayout] = useState("long"); // "long" | "wide"
+
+  const allSelected = students.every((s) => selected.has(s.id));
+  function toggle(id) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+  }
+
+  const matching = useMemo(
+    () =>
+      students
+        .filter((s) => selected.has(s.id))
+        .flatMap((s) =>
+          recordsInRange(entries, s.id, from, to)
+            .filter(recordHasData)
+            .map((record) => ({ record, student: s, rubric: rubricOf(record, settingsFor(s, sharedSettings)) }))
+        ),
+    [entries, students, sharedSettings, selected, from, to]
+  );
+
+  function doExport() {
+    const periods = widePeriods(matching.map((m) => m.rubric));
+    const measures = wideMeasures(matching.map((m) => m.rubric));
+    const rows =
+      layout === "wide"
+        ? [
+            wideCSVHeader(periods, measures),
+            ...matching.map(({ record, rubric, student }) =>
+              recordWideCSVRow(record, rubric, periods, student.name, measures, phaseOn(phasesOf(student), record.date))
+            ),
+          ]
+        : [
+            CSV_HEADER,
+            ...matching.flatMap(({ record, rubric, student }) => recordCSVRows(record, rubric, student.name, phaseOn(phasesOf(student), record.date))),
+          ];
+    const who = selected.size === 1 ? students.find((s) => selected.has(s.id))?.name ?? "student" : `${selected.size}_students`;
+    onDownload(
+      `behavior_rubric_${who}_${from}_to_${to}${layout === "wide" ? "_summary" : ""}.csv`,
+      toCSV(rows),
+      "text/csv;charset=utf-8;"
+    );
+    onClose();
+  }
+
+  return (
+    <Modal title="Export CSV" onClose={onClose}>
+      <div className="space-y-4 text-sm">
+        <div className="flex items-center gap-3 flex-wrap">
+          <label className="flex items-center gap-1">
+            From
+            <input type="date" className="rounded-lg border px-2 py-1" value={from} onChange={(e) => setFrom(e.target.value)} />
+          </label>
+          <label className="flex items-center gap-1">
+            To
+            <input type="date" className="rounded-lg border px-2 py-1" value={to} onChange={(e) => setTo(e.target.value)} />
+          </label>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-gray-600">Students</span>
+            <button
+              className="rounded-lg border px-2 py-1 hover:bg-gray-100"
+              onClick={() => setSelected(allSelected ? new Set() : new Set(students.map((s) => s.id)))}
             >
+              {allSelected ? "Select none" : "Select all"}
+            </button>
+          </div>
+          <div className="grid sm:grid-cols-2 gap-1">
+            {students.map((s) => (
+              <label key={s.id} className="flex items-center gap-2">
+                <input type="checkbox" checked={selected.has(s.id)} onChange={() => toggle(s.id)} />
+                {displayName(s, initialsOnly)}{s.archivedAt && <span className="text-gray-500"> (archived)</span>}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <span className="text-gray-600">Layout</span>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="layout" checked={layout === "long"} onChange={() => setLayout("long")} />
+            Long — one row per period × category (same columns as the daily export)
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="layout" checked={layout === "wide"} onChange={() => setLayout("wide")} />
+            Wide summary — one row per student per day
+          </label>
+        </div>
+
+        <div className="flex items-center justify-between">
+          <span className="text-gray-500">{matching.length} day record(s) match</span>
+          <button
+            disabled={matching.length === 0}
+            onClick={doExport}
+            className="rounded-xl border px-3 py-1.5 hover:bg-gray-100 disabled:opacity-50"
+          >
+            Download CSV
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// ---- Sync Settings ----
+function SyncPanel({ sync, status, onConfigure, onEnable, onSyncNow }) {
+  const [url, setUrl] = useState(sync.url);
+  const [token, setToken] = useState(sync.token);
+  const dirty = url !== sync.url || token !== sync.token;
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 print:hidden">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h2 className="font-semibold">Sync <span className="text-sm font-normal text-gray-500">(optional)</span></h2>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={sync.enabled} disabled={!sync.url} onChange={(e) => onEnable(e.target.checked)} />
+          Sync with server
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Share students and scores between devices through your own server (run{" "}
+        <code>node behavior_rubric_sync_server.mjs</code>). The newest edit to each score wins; changes made offline are sent
+        when the connection returns.
+      </p>
+      <div className="grid md:grid-cols-[2fr_1fr_auto] gap-2 mt-3 text-sm">
+        <input className="rounded-lg border px-3 py-1.5" placeholder="Server URL, e.g. http://192.168.1.20:8787" value={url} onChange={(e) => setUrl(e.target.value)} />
+        <input className="rounded-lg border px-3 py-1.5" placeholder="Access token (if set)" type="password" value={token} onChange={(e) => setToken(e.target.value)} />
+        <button disabled={!dirty} onClick={() => onConfigure({ url: url.trim(), token })} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100 disabled:opacity-50">
+          Save
+        </button>
+      </div>
+      {sync.enabled && (
+        <div className="flex items-center gap-3 mt-3 text-sm flex-wrap">
+          <span className={status.state === "error" ? "text-red-700" : "text-gray-600"}>{status.message || "Waiting…"}</span>
+          <span className="text-gray-500">{sync.queue.length} change(s) waiting</span>
+          <span className="text-gray-500">Last sync: {sync.lastSyncAt ? new Date(sync.lastSyncAt).toLocaleString() : "never"}</span>
+          <button onClick={onSyncNow} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Sync now</button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// ---- Passcode & Privacy ----
+const LOCK_MINUTE_OPTIONS = [1, 2, 5, 10, 15, 30, 60];
+const MIN_PASSCODE_LENGTH = 4;
+
+function SecurityPanel({ lock, prefs, onPrefs, onSetPasscode, onRemovePasscode, onLockMinutes, onLockNow, onOpenEncrypted }) {
+  const [mode, setMode] = useState(null); // "set" | "change" | "remove" while a form is open
+  const [form, setForm] = useState({ current: "", next: "", confirm: "" });
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const field = (name, label, autoComplete) => (
+    <input
+      type="password"
+      aria-label={label}
+      placeholder={label}
+      autoComplete={autoComplete}
+      className="rounded-lg border px-3 py-1.5"
+      value={form[name]}
+      onChange={(e) => setForm((f) => ({ ...f, [name]: e.target.value }))}
+    />
+  );
+  function open(next) {
+    setMode(next);
+    setForm({ current: "", next: "", confirm: "" });
+    setMessage(null);
+  }
+  async function submit(e) {
+    e.preventDefault();
+    if (mode !== "remove") {
+      if (form.next.length < MIN_PASSCODE_LENGTH) return setMessage(`Use at least ${MIN_PASSCODE_LENGTH} characters.`);
+      if (form.next !== form.confirm) return setMessage("The new passcodes don't match.");
+    }
+    setBusy(true);
+    try {
+      const ok = mode === "remove" ? await onRemovePasscode(form.current) : await onSetPasscode(form.next, form.current);
+      if (!ok) setMessage("The current passcode is not right.");
+      // on success the app reopens from the re-saved data, so there is nothing more to do here
+    } catch (err) {
+      setMessage(`Could not re-save your data: ${err?.message ?? err}. Nothing was changed.`);
+    }
+    setBusy(false);
+  }
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 print:hidden">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h2 className="font-semibold">Passcode & privacy</h2>
+        <div className="flex items-center gap-2 text-sm">
+          {lock ? (
+            <>
+              <button onClick={onLockNow} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Lock now</button>
+              <button onClick={() => open("change")} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Change passcode</button>
+              <button onClick={() => open("remove")} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Remove passcode</button>
+            </>
+          ) : (
+            <button onClick={() => open("set")} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Set passcode…</button>
+          )}
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        With a passcode, everything this app saves on the device is encrypted and the app locks when left idle. A forgotten
+        passcode can't be recovered — keep a backup somewhere safe.
+      </p>
+      {mode && (
+        <form onSubmit={submit} className="flex items-center gap-2 mt-3 text-sm flex-wrap">
+          {mode !== "set" && field("current", "Current passcode", "current-password")}
+          {mode !== "remove" && field("next", "New passcode", "new-password")}
+          {mode !== "remove" && field("confirm", "Repeat new passcode", "new-password")}
+          <button type="submit" disabled={busy} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100 disabled:opacity-50">
+            {busy ? "Saving…" : mode === "remove" ? "Remove passcode" : "Save passcode"}
+          </button>
+          <button type="button" onClick={() => open(null)} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Cancel</button>
+          {message && <span role="alert" className="text-red-700">{message}</span>}
+        </form>
+      )}
+      <div className="flex items-center gap-4 mt-3 text-sm flex-wrap">
+        {lock && (
+          <label className="flex items-center gap-2">
+            Lock after
+            <select className="rounded-lg border px-2 py-1" value={lock.lockMinutes} onChange={(e) => onLockMinutes(Number(e.target.value))}>
+              {LOCK_MINUTE_OPTIONS.map((m) => (
+                <option key={m} value={m}>{m} min idle</option>
+              ))}
+              <option value={0}>Never</option>
+            </select>
+          </label>
+        )}
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={prefs.encryptExports} onChange={(e) => onPrefs({ encryptExports: e.target.checked })} />
+          Encrypt exported files
+          <span className="text-xs text-gray-500">({lock ? "with the app passcode" : "asks for a passcode per file"})</span>
+        </label>
+        <label className="rounded-lg border px-3 py-1.5 cursor-pointer hover:bg-gray-50">
+          Decrypt a File…
+          <input
+            type="file"
+            className="hidden"
+            accept="application/json"
+            onChange={(e) => {
+              e.target.files?.[0] && onOpenEncrypted(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+    </section>
+  );
+}
+
+// ---- Template Library ----
+// Presets and saved templates on the left, a preview of the selected one on the right
+function TemplateDialog({ templates, students, studentId, scope, initialsOnly, onApply, onSave, onDelete, onDownload, onImport, onClose }) {
+  const [selectedId, setSelectedId] = useState(RUBRIC_PRESETS[0].id);
+  const selected = [...RUBRIC_PRESETS, ...templates].find((t) => t.id === selectedId) ?? RUBRIC_PRESETS[0];
+  const isPreset = RUBRIC_PRESETS.includes(selected);
+  const [target, setTarget] = useState(() => (students.find((s) => s.id === studentId)?.settings ? studentId : "shared"));
+  const [saving, setSaving] = useState(null); // { name, description } while the save form is open
+  const onShared = students.filter((s) => !s.settings).length;
+
+  function apply() {
+    const who = target === "shared" ? "the shared template" : displayName(students.find((s) => s.id === target), initialsOnly);
+    const ok = confirm(
+      `Replace the scale, categories, periods and goals of ${who} with "${selected.name}"? Earlier days keep the rubric they were scored under.`
+    );
+    if (!ok) return;
+    onApply(selected, target);
+    onClose();
+  }
+  function save(e) {
+    e.preventDefault();
+    if (!saving.name.trim()) return;
+    setSelectedId(onSave(saving.name.trim(), saving.description.trim()).id);
+    setSaving(null);
+  }
+
+  return (
+    <Modal title="Rubric Templates" onClose={onClose}>
+      <div className="flex gap-4 text-sm flex-wrap sm:flex-nowrap">
+        <div className="w-full sm:w-56 shrink-0 space-y-3">
+          {[["Presets", RUBRIC_PRESETS], ["Saved", templates]].map(([title, items]) => (
+            <div key={title}>
+              <h3 className="font-medium text-gray-700 mb-1">{title}</h3>
+              {items.length === 0 && <p className="text-xs text-gray-500">None yet.</p>}
+              <div className="space-y-1">
+                {items.map((t) => (
+                  <button
+                    key={t.id}
+                    aria-pressed={t.id === selected.id}
+                    className={`w-full text-left rounded-lg border px-2 py-1.5 ${t.id === selected.id ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+                    onClick={() => setSelectedId(t.id)}
+                  >
+                    {t.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+          <div className="space-y-2 border-t pt-3">
+            {saving ? (
+              <form onSubmit={save} className="space-y-1">
+                <p className="text-xs text-gray-500">Saves {scope} as it is now.</p>
+                <input
+                  className="w-full rounded-lg border px-2 py-1"
+                  placeholder="Template name"
+                  aria-label="Template name"
+                  value={saving.name}
+                  onChange={(e) => setSaving({ ...saving, name: e.target.value })}
+                />
+                <input
+                  className="w-full rounded-lg border px-2 py-1"
+                  placeholder="Description (optional)"
+                  aria-label="Template description"
+                  value={saving.description}
+                  onChange={(e) => setSaving({ ...saving, description: e.target.value })}
+                />
+                <div className="flex gap-2">
+                  <button type="submit" className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Save</button>
+                  <button type="button" className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => setSaving(null)}>Cancel</button>
+                </div>
+              </form>
+            ) : (
+              <button className="w-full rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => setSaving({ name: "", description: "" })}>
+                Save current rubric…
+              </button>
+            )}
+            <label className="block text-center rounded-lg border px-3 py-1.5 cursor-pointer hover:bg-gray-50">
+              Import template file…
+              <input
+                type="file"
+                className="hidden"
+                accept="application/json"
+                onChange={(e) => {
+                  e.target.files?.[0] && onImport(e.target.files[0], (t) => setSelectedId(t.id));
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </div>
+        </div>
+
+        <div className="flex-1 min-w-0 space-y-3">
+          <div>
+            <h3 className="font-semibold">{selected.name}</h3>
+            {selected.description && <p className="text-gray-600">{selected.description}</p>}
+          </div>
+          <TemplatePreview settings={selected.settings} />
+          <div className="flex items-center gap-2 flex-wrap border-t pt-3">
+            <select className="rounded-lg border px-2 py-1.5" aria-label="Apply to" value={target} onChange={(e) => setTarget(e.target.value)}>
+              <option value="shared">Shared template ({onShared} student{onShared === 1 ? "" : "s"})</option>
               {students.map((s) => (
-                <option key={s.id} value={s.id}>{s.name}</option>
+                <option key={s.id} value={s.id}>
+                  {displayName(s, initialsOnly)}{s.settings ? " (own rubric)" : ""}
+                </option>
+              ))}
+            </select>
+            <button className="rounded-lg border px-3 py-1.5 bg-gray-900 text-white" onClick={apply}>Apply</button>
+            <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => onDownload(selected)}>Download file</button>
+            {!isPreset && (
+              <button
+                className="rounded-lg border px-3 py-1.5 hover:bg-red-50 text-red-600"
+                onClick={() => {
+                  if (!confirm(`Delete the template "${selected.name}"?`)) return;
+                  onDelete(selected.id);
+                  setSelectedId(RUBRIC_PRESETS[0].id);
+                }}
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// Read-only summary of what a rubric sets up
+function TemplatePreview({ settings }) {
+  const { maxPoints: max, plainMax, goalTarget } = computeTotals(makeRecord("", "", settings), settings);
+  const scale = Array.from({ length: settings.scaleMax + 1 }, (_, i) => i);
+  const timeOf = (p) => (p.start && p.name !== `${formatTime(p.start)}–${formatTime(p.end)}` ? ` (${formatTime(p.start)}–${formatTime(p.end)})` : "");
+  return (
+    <div className="space-y-3">
+      <div>
+        <h4 className="font-medium">Scale 0–{settings.scaleMax}</h4>
+        <div className="flex flex-wrap gap-1 mt-1">
+          {scale.map((n) => (
+            <span key={n} className="rounded-md bg-gray-100 px-2 py-0.5">
+              {n} {settings.scaleLabels?.[n] ?? ""}
+            </span>
+          ))}
+        </div>
+      </div>
+      <div className="grid sm:grid-cols-2 gap-3">
+        <div>
+          <h4 className="font-medium">Categories ({settings.categories.length})</h4>
+          <ul className="list-disc pl-5 max-h-48 overflow-y-auto">
+            {settings.categories.map((c) => (
+              <li key={c.id}>
+                {c.name}
+                {!isScored(c) && <span className="text-gray-500"> — {CATEGORY_TYPES[categoryType(c)]}</span>}
+                {scoringNote(c) && <span className="text-gray-500"> — {scoringNote(c)}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div>
+          <h4 className="font-medium">Periods ({settings.periods.length})</h4>
+          <ul className="list-disc pl-5 max-h-48 overflow-y-auto">
+            {settings.periods.map((p) => (
+              <li key={p.id}>
+                {p.name}
+                <span className="text-gray-500">{timeOf(p)}{weightOf(p) !== 1 ? ` ×${weightOf(p)}` : ""}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+      <p>
+        Goal: {settings.goalPoints} of {plainMax} points{plainMax > 0 ? ` (${Math.round((settings.goalPoints / plainMax) * 100)}%)` : ""}
+        {max !== plainMax && `, ${goalTarget} of ${max} once weighted`}
+      </p>
+      {(settings.goalRules ?? []).length > 0 && (
+        <ul className="list-disc pl-5">
+          {settings.goalRules.map((r) => (
+            <li key={r.id}>{GOAL_TIERS[r.tier]}: {describeGoalRule(r, settings)}</li>
+          ))}
+        </ul>
+      )}
+      {!isPlainScoring(settings) && <p className="text-xs text-gray-500">{describeFormula(settings)}</p>}
+    </div>
+  );
+}
+
+// ---- CSV Import Preview ----
+function ImportDialog({ parsed, local, initialsOnly, onImport, onClose }) {
+  const rubrics = useMemo(
+    () => [local.sharedSettings, ...local.students.filter((s) => s.settings).map((s) => s.settings)],
+    [local]
+  );
+  const [mapping, setMapping] = useState(() => defaultImportMapping(parsed.rows, local.students, rubrics));
+  const [overwrite, setOverwrite] = useState(false);
+  const plan = useMemo(() => planImport(parsed.rows, mapping, local, overwrite), [parsed, mapping, local, overwrite]);
+  const { stats } = plan;
+  const rowErrors = [...parsed.errors, ...plan.errors].sort((a, b) => a.line - b.line);
+  const originalName = (field, k) => parsed.rows.find((r) => normName(r[field]) === k)?.[field] ?? k;
+  const uniqueNames = (list) => [...new Set(list.map((x) => x.name))];
+  const groups = [
+    ["students", "student", "Students", local.students.map((s) => [s.id, displayName(s, initialsOnly)]), "Create new student"],
+    ["periods", "period", "Periods", uniqueNames(rubrics.flatMap((r) => r.periods)).map((n) => [n, n]), "Add to rubric"],
+    ["categories", "category", "Categories", uniqueNames(rubrics.flatMap((r) => r.categories)).map((n) => [n, n]), "Add to rubric"],
+  ];
+  const nothingToDo = Object.keys(plan.records).length === 0;
+
+  return (
+    <Modal title={`Import CSV — ${parsed.fileName}`} onClose={onClose}>
+      <div className="space-y-4 text-sm">
+        <p className="text-gray-600">
+          {parsed.rows.length + parsed.errors.length} data row(s) read. Check how names in the file match this device, then
+          review the summary. Nothing is saved until you press Import.
+        </p>
+
+        {groups.map(([key, field, title, options, newLabel]) => (
+          <div key={key} className="rounded-xl border p-3">
+            <h3 className="font-medium mb-2">{title}</h3>
+            <div className="grid md:grid-cols-2 gap-2">
+              {Object.entries(mapping[key]).map(([k, v]) => (
+                <label key={k} className="flex items-center gap-2">
+                  <span className="min-w-[8rem] truncate" title={originalName(field, k)}>
+                    {key === "students" && initialsOnly ? initialsOf(originalName(field, k)) : originalName(field, k)}
+                  </span>
+                  <span className="text-gray-400">→</span>
+                  <select
+                    className={`flex-1 rounded-lg border px-2 py-1 ${v === "new" ? "bg-blue-50" : v === "skip" ? "bg-gray-100" : ""}`}
+                    value={v}
+                    onChange={(e) => setMapping((m) => ({ ...m, [key]: { ...m[key], [k]: e.target.value } }))}
+                  >
+                    {options.map(([id, label]) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                    <option value="new">{newLabel}</option>
+                    <option value="skip">Skip these rows</option>
+                  </select>
+                </label>
               ))}
-            </select>
-            <AddStudent onAdd={addStudent} />
+            </div>
           </div>
+        ))}
 
-          {/* Actions */}
-          <div className="flex items-center gap-2">
-            <button
-              onClick={exportCSV}
-              className="rounded-xl border px-3 py-1.5 hover:bg-gray-100"
-            >
-              Export CSV
-            </button>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={overwrite} onChange={(e) => setOverwrite(e.target.checked)} />
+          Where a cell already has a different value, use the file's
+        </label>
+
+        <div className="rounded-xl border bg-gray-50 p-3 space-y-1">
+          <h3 className="font-medium">Dry run</h3>
+          <ul className="list-disc pl-5 text-gray-700">
+            <li>{stats.newRecords} new day(s) and {stats.updatedRecords} existing day(s) updated</li>
+            <li>
+              {stats.cellsSet} value(s) written, {stats.unchanged} already the same, {stats.conflicts} differing from what's here
+              ({overwrite ? "replaced" : "kept"})
+            </li>
+            {stats.newStudents > 0 && <li>{stats.newStudents} new student(s)</li>}
+            {stats.added.length > 0 && <li>Adds {stats.added.join(", ")}</li>}
+            {stats.skipped > 0 && <li>{stats.skipped} row(s) skipped by the mapping</li>}
+            <li className={rowErrors.length ? "text-red-700" : ""}>{rowErrors.length} row(s) with errors, left out</li>
+          </ul>
+        </div>
+
+        {rowErrors.length > 0 && (
+          <div className="rounded-xl border border-red-200 p-3 max-h-48 overflow-y-auto">
+            <h3 className="font-medium text-red-700 mb-1">Row errors</h3>
+            <ul className="space-y-0.5">
+              {rowErrors.slice(0, 200).map((e, i) => (
+                <li key={i}><span className="text-gray-500">Line {e.line}:</span> {e.message}</li>
+              ))}
+              {rowErrors.length > 200 && <li className="text-gray-500">…and {rowErrors.length - 200} more</li>}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={onClose}>Cancel</button>
+          <button className="rounded-lg border px-3 py-1.5 bg-gray-900 text-white disabled:opacity-40" disabled={nothingToDo} onClick={() => onImport(plan)}>
+            Import {Object.keys(plan.records).length} day(s)
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// ---- Restore ----
+function RestoreDialog({ backup, local, onReplace, onMerge, onClose }) {
+  const plan = useMemo(() => planMerge(local, backup), [local, backup]);
+  const [useIncoming, setUseIncoming] = useState(() => new Set());
+  const nameOf = (id) =>
+    local.students.find((s) => s.id === id)?.name ?? backup.students?.find((s) => s.id === id)?.name ?? "Unknown student";
+
+  function choose(k, incoming) {
+    setUseIncoming((prev) => {
+      const next = new Set(prev);
+      incoming ? next.add(k) : next.delete(k);
+      return next;
+    });
+  }
+
+  return (
+    <Modal title="Restore Backup" onClose={onClose}>
+      <div className="space-y-4 text-sm">
+        <p className="text-gray-600">
+          Backup from {backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : "unknown date"}:{" "}
+          {backup.students?.length ?? 0} student(s), {Object.keys(backup.entries ?? {}).length} day record(s).
+        </p>
+
+        <div className="rounded-xl border p-3 space-y-2">
+          <h3 className="font-medium">Replace everything</h3>
+          <p className="text-gray-600">Discards all students, settings and records on this device and loads the backup.</p>
+          <button
+            className="rounded-lg border px-3 py-1.5 hover:bg-red-50 text-red-600"
+            onClick={() => confirm("Replace ALL data on this device with the backup?") && onReplace(backup)}
+          >
+            Replace all data
+          </button>
+        </div>
+
+        <div className="rounded-xl border p-3 space-y-2">
+          <h3 className="font-medium">Merge</h3>
+          <p className="text-gray-600">
+            Keeps this device's settings. Adds {plan.newStudents.length} new student(s) and{" "}
+            {Object.keys(plan.added).length} day record(s); {plan.identical} record(s) already match.
+            {plan.newTemplates.length > 0 && ` Adds ${plan.newTemplates.length} saved template(s).`}
+          </p>
+          {plan.conflicts.length > 0 && (
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-medium text-amber-700">{plan.conflicts.length} conflict(s)</span>
+                <div className="flex gap-2">
+                  <button className="rounded-lg border px-2 py-1 hover:bg-gray-100" onClick={() => setUseIncoming(new Set())}>Keep all mine</button>
+                  <button
+                    className="rounded-lg border px-2 py-1 hover:bg-gray-100"
+                    onClick={() => setUseIncoming(new Set(plan.conflicts.map((c) => c.key)))}
+                  >
+                    Use all from backup
+                  </button>
+                </div>
+              </div>
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="p-1 text-left">Date</th>
+                    <th className="p-1 text-left">Student</th>
+                    <th className="p-1 text-left">Differs in</th>
+                    <th className="p-1 text-left">Keep</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.conflicts.map((c) => (
+                    <tr key={c.key} className="border-t">
+                      <td className="p-1">{c.local.date}</td>
+                      <td className="p-1">{nameOf(c.local.studentId)}</td>
+                      <td className="p-1 text-gray-600">{c.summary}</td>
+                      <td className="p-1">
+                        <select
+                          className="rounded-lg border px-1 py-0.5"
+                          value={useIncoming.has(c.key) ? "backup" : "mine"}
+                          onChange={(e) => choose(c.key, e.target.value === "backup")}
+                        >
+                          <option value="mine">This device</option>
+                          <option value="backup">Backup</option>
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => onMerge(plan, useIncoming)}>
+            Merge
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// ---- Multi-day Summaries ----
+// One day read under its own rubric: the record, its totals, goal percent and goal rules
+function summarizeRecord(r, settings) {
+  const rubric = rubricOf(r, settings);
+  const totals = computeTotals(r, rubric);
+  const goalPercent = totals.maxPoints > 0 ? Math.round((totals.goalTarget / totals.maxPoints) * 100) : 0;
+  const goals = evaluateGoals(r, rubric, totals);
+  return { record: r, rubric, goalPercent, goals, ...totals };
+}
+
+// Scored days for a student in [from, to], oldest first
+function summarizeDays(entries, studentId, from, to, settings) {
+  return recordsInRange(entries, studentId, from, to)
+    .map((r) => summarizeRecord(r, settings))
+    .filter((d) => d.scored > 0);
+}
+
+// Average score per category ("categories") or period ("periods") across every filled
+// cell of `days`. Days can use different rubrics, so scores are compared as a fraction
+// of that day's scaleMax; ids no longer in `settings` are labeled from the day's rubric.
+function scoreAverages(days, settings, kind) {
+  const groups = new Map();
+  const group = (o) => {
+    if (!groups.has(o.id)) groups.set(o.id, { id: o.id, label: o.name, sum: 0, frac: 0, n: 0 });
+    return groups.get(o.id);
+  };
+  (kind === "categories" ? settings.categories.filter(isScored) : settings.periods).forEach(group);
+  days.forEach(({ record, rubric }) => {
+    rubric.periods.forEach((p) => {
+      rubric.categories.filter(isScored).forEach((c) => {
+        const v = record.matrix?.[p.id]?.[c.id];
+        if (v === null || v === undefined || statusOf(record, p.id, c.id)) return;
+        const g = group(kind === "categories" ? c : p);
+        g.sum += v;
+        g.frac += effectiveScore(c, v, rubric.scaleMax) / rubric.scaleMax;
+        g.n += 1;
+      });
+    });
+  });
+  return [...groups.values()].map((g) => ({
+    id: g.id,
+    label: g.label,
+    value: g.n > 0 ? round1((g.frac / g.n) * 100) : null,
+    avg: g.n > 0 ? round1(g.sum / g.n) : null,
+    detail: g.n > 0 ? `avg ${round1(g.sum / g.n)} pts (${g.n} cells)` : "no data",
+  }));
+}
+
+// Range totals for tally/duration categories, labeled like formatMeasure
+function measureTotals(days) {
+  const totals = new Map();
+  days.forEach(({ record, rubric }) => {
+    computeMeasures(record, rubric).forEach((m) => {
+      const t = totals.get(m.category.id) ?? { category: m.category, type: m.type, total: 0 };
+      t.total += m.total;
+      totals.set(m.category.id, t);
+    });
+  });
+  return [...totals.values()];
+}
+
+// ---- Intervention Phases ----
+// Dated phases on a student's timeline (`student.phases`: Baseline, Intervention A, Fade…).
+// A phase runs from its start date until the next one starts. Decision rules look for runs
+// of scored days inside one phase and live on the shared settings, so every plan is
+// judged by the same criteria.
+const PHASE_NAMES = ["Baseline", "Intervention A", "Intervention B", "Fade", "Maintenance"];
+const DECISION_RULE_TYPES = {
+  belowGoal: { label: "consecutive days below goal", advice: "consider changing the plan" },
+  metGoal: { label: "consecutive days at or above goal", advice: "consider fading support" },
+  falling: { label: "days in a row lower than the day before", advice: "look at what changed" },
+};
+const DEFAULT_DECISION_RULES = [
+  { id: "below-goal", type: "belowGoal", days: 4 },
+  { id: "met-goal", type: "metGoal", days: 10 },
+];
+const decisionRulesOf = (settings) => settings?.decisionRules ?? DEFAULT_DECISION_RULES;
+const describeDecisionRule = (rule) => `${rule.days} ${DECISION_RULE_TYPES[rule.type]?.label ?? rule.type}`;
+
+// Oldest first
+const phasesOf = (student) => [...(student?.phases ?? [])].sort((a, b) => a.start.localeCompare(b.start));
+
+// The phase in force on `date` (phases oldest first), or null before the first one
+function phaseOn(phases, date) {
+  let found = null;
+  phases.forEach((p) => {
+    if (p.start <= date) found = p;
+  });
+  return found;
+}
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  const m = Math.floor(v.length / 2);
+  return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+}
+
+// Least-squares slope in percentage points per scored day; null with fewer than two days
+function trendSlope(values) {
+  const n = values.length;
+  if (n < 2) return null;
+  const mx = (n - 1) / 2;
+  const my = values.reduce((a, v) => a + v, 0) / n;
+  let num = 0;
+  let den = 0;
+  values.forEach((v, i) => {
+    num += (i - mx) * (v - my);
+    den += (i - mx) ** 2;
+  });
+  return num / den;
+}
+
+// Summarized days (oldest first) grouped by phase, with mean, median and trend of the
+// daily percent. Days before the first phase form a group with `phase` null.
+function phaseStats(days, phases) {
+  const groups = [];
+  days.forEach((d) => {
+    const phase = phaseOn(phases, d.record.date);
+    let g = groups[groups.length - 1];
+    if (!g || g.phase !== phase) groups.push((g = { phase, days: [], first: groups.reduce((a, x) => a + x.days.length, 0) }));
+    g.days.push(d);
+  });
+  return groups.map(({ phase, days: ds, first }) => {
+    const values = ds.map((d) => d.percent);
+    const slope = trendSlope(values);
+    return {
+      phase,
+      first, // index of the group's first day in `days`
+      from: ds[0].record.date,
+      to: ds[ds.length - 1].record.date,
+      n: ds.length,
+      mean: round1(values.reduce((a, v) => a + v, 0) / ds.length),
+      median: round1(median(values)),
+      trend: slope === null ? null : round1(slope),
+      goalMet: ds.filter((d) => d.goalMet).length,
+    };
+  });
+}
+
+const formatTrend = (t) => (t === null ? "—" : `${t > 0 ? "↑ +" : t < 0 ? "↓ " : "→ "}${t}/day`);
+
+// Chart lines where a phase starts, from phaseStats groups
+const phaseMarkers = (stats) => stats.filter((g) => g.phase).map((g) => ({ index: g.first, label: g.phase.name }));
+
+// A flag each time a rule's run reaches its length; runs start over at a phase boundary
+function decisionFlags(days, phases, rules) {
+  const flags = [];
+  rules.forEach((rule) => {
+    let run = 0;
+    let prev = null;
+    let phase;
+    days.forEach((d) => {
+      const ph = phaseOn(phases, d.record.date);
+      if (ph !== phase) {
+        run = 0;
+        prev = null;
+        phase = ph;
+      }
+      const hit =
+        rule.type === "belowGoal" ? !d.goalMet : rule.type === "metGoal" ? d.goalMet : prev !== null && d.percent < prev.percent;
+      run = hit ? run + 1 : 0;
+      prev = d;
+      if (run === rule.days) flags.push({ rule, date: d.record.date, phase: ph });
+    });
+  });
+  return flags.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ---- Token Economy ----
+// Earnings are worked out from the scored days, so correcting a score corrects the balance.
+// Spending and manual adjustments are kept in the student's `ledger`.
+const DEFAULT_TOKENS = {
+  enabled: false,
+  pointsPerToken: 4, // 1 token per N points in the daily total; 0 = none
+  goalBonus: 5, // daily goal met
+  streakDays: 5, // every Nth goal-met day in a row...
+  streakBonus: 10, // ...earns this bonus
+  bonusRules: [], // { id, name, type: "percent" | "category", categoryId, min, tokens }
+  rewards: [
+    { id: uid(), name: "5-minute break", cost: 5 },
+    { id: uid(), name: "Class helper", cost: 15 },
+    { id: uid(), name: "Choice time (15 min)", cost: 25 },
+  ],
+};
+
+const tokenConfig = (settings) => ({ ...DEFAULT_TOKENS, ...settings.tokens });
+
+// "percent": daily % at least `min`. "category": every period of that category scored at
+// least `min` (at most, if reverse-scored), not counting periods where the cell has a status.
+function bonusRuleMet(rule, day) {
+  if (rule.type === "percent") return day.percent >= rule.min;
+  const c = day.rubric.categories.find((x) => x.id === rule.categoryId && isScored(x));
+  if (!c) return false;
+  const periods = day.rubric.periods.filter((p) => !statusOf(day.record, p.id, rule.categoryId));
+  return periods.length > 0 && periods.every((p) => meetsMin(c, day.record.matrix?.[p.id]?.[rule.categoryId], rule.min));
+}
+
+// Tokens earned per scored day, oldest first: [{ date, amount, items: [{ label, amount }] }].
+// Days without scores don't break a streak; a scored day that misses the goal does.
+function tokenEarnings(entries, studentId, settings) {
+  const cfg = tokenConfig(settings);
+  let streak = 0;
+  return summarizeDays(entries, studentId, "0000-01-01", "9999-12-31", settings)
+    .map((d) => {
+      const items = [];
+      const fromPoints = cfg.pointsPerToken > 0 ? Math.floor(d.totalPoints / cfg.pointsPerToken) : 0;
+      if (fromPoints) items.push({ label: `${d.totalPoints} points`, amount: fromPoints });
+      streak = d.goalMet ? streak + 1 : 0;
+      if (d.goalMet && cfg.goalBonus) items.push({ label: "Goal met", amount: cfg.goalBonus });
+      if (d.goalMet && cfg.streakDays > 0 && cfg.streakBonus && streak % cfg.streakDays === 0) {
+        items.push({ label: `${streak}-day goal streak`, amount: cfg.streakBonus });
+      }
+      cfg.bonusRules.forEach((r) => r.tokens && bonusRuleMet(r, d) && items.push({ label: r.name, amount: r.tokens }));
+      return { date: d.record.date, amount: items.reduce((a, it) => a + it.amount, 0), items };
+    })
+    .filter((e) => e.amount !== 0);
+}
+
+// Earnings and ledger entries in date order with a running balance
+function tokenHistory(student, entries, settings) {
+  const earned = tokenEarnings(entries, student.id, settings).map((e) => ({
+    id: `earn-${e.date}`,
+    date: e.date,
+    ts: "",
+    kind: "earn",
+    label: e.items.map((it) => `${it.label} +${it.amount}`).join(", "),
+    amount: e.amount,
+  }));
+  let balance = 0;
+  const rows = [...earned, ...(student.ledger ?? [])]
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.kind === "earn" ? -1 : b.kind === "earn" ? 1 : a.ts.localeCompare(b.ts)))
+    .map((row) => ({ ...row, balance: (balance += row.amount) }));
+  return { rows, balance };
+}
+
+function tokenHistoryCSV(rows, studentName) {
+  return toCSV([
+    ["Date", "Student", "Type", "Description", "Tokens", "Balance"],
+    ...rows.map((r) => [r.date, studentName, r.kind, r.label, r.amount, r.balance]),
+  ]);
+}
+
+function RewardsPanel({ student, entries, settings, setSettings, date, onLedger, onUndo, initialsOnly, onDownload }) {
+  const cfg = tokenConfig(settings);
+  const [adjust, setAdjust] = useState({ amount: "", reason: "" });
+  const { rows, balance } = useMemo(() => tokenHistory(student, entries, settings), [student, entries, settings]);
+  const today = rows.filter((r) => r.kind === "earn" && r.date === date);
+  const setTokens = (patch) => setSettings((prev) => ({ ...prev, tokens: { ...tokenConfig(prev), ...patch } }));
+  const scoredCategories = settings.categories.filter(isScored);
+
+  function spend(reward) {
+    if (!confirm(`Spend ${reward.cost} tokens on "${reward.name}"? Balance will be ${balance - reward.cost}.`)) return;
+    onLedger({ date, kind: "spend", label: reward.name, amount: -reward.cost });
+  }
+  function addAdjustment() {
+    const amount = parseInt(adjust.amount, 10);
+    if (!amount) return;
+    onLedger({ date, kind: "adjust", label: adjust.reason.trim() || "Manual adjustment", amount });
+    setAdjust({ amount: "", reason: "" });
+  }
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 print:hidden">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h2 className="font-semibold">
+          Rewards{cfg.enabled && <span className="text-sm font-normal text-gray-500"> — {displayName(student, initialsOnly)} has {balance} tokens</span>}
+        </h2>
+        <div className="flex items-center gap-2 text-sm">
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={cfg.enabled} onChange={(e) => setTokens({ enabled: e.target.checked })} />
+            Token economy
+          </label>
+          {cfg.enabled && (
             <button
-              onClick={printDaily}
-              className="rounded-xl border px-3 py-1.5 hover:bg-gray-100"
+              onClick={() => onDownload(`behavior_rubric_tokens_${student.name}.csv`, tokenHistoryCSV(rows, student.name), "text/csv;charset=utf-8;")}
+              className="rounded-lg border px-3 py-1.5 hover:bg-gray-100"
             >
-              Print Daily
+              Export History CSV
             </button>
-          </div>
+          )}
         </div>
-      </header>
+      </div>
 
-      <main className="mx-auto max-w-7xl px-4 py-6 space-y-6">
-        {/* Summary card */}
-        <section className="grid md:grid-cols-3 gap-4 print:grid-cols-3">
-          <div className="bg-white rounded-2xl shadow p-4">
-            <h2 className="font-semibold mb-2">Summary</h2>
-            <div className="text-sm grid grid-cols-2 gap-1">
-              <div className="text-gray-500">Student</div>
-              <div>{student?.name}</div>
-              <div className="text-gray-500">Date</div>
-              <div>{date}</div>
-              <div className="text-gray-500">Daily Total</div>
-              <div>{totalPoints} / {maxPoints} ({percent}%)</div>
-              <div className="text-gray-500">Goal</div>
-              <div>{settings.goalPoints} pts {totalPoints >= settings.goalPoints ? "✅ Met" : "❌ Not Met"}</div>
+      {cfg.enabled && (
+        <div className="grid md:grid-cols-2 gap-6 mt-4 text-sm">
+          <div className="space-y-4">
+            <div>
+              <h3 className="font-medium mb-2">Earned {date}</h3>
+              {today.length === 0 ? (
+                <p className="text-gray-500">Nothing yet.</p>
+              ) : (
+                <p>{today[0].label} = <span className="font-semibold">+{today[0].amount}</span></p>
+              )}
             </div>
-            <div className="mt-3">
-              <label className="text-sm text-gray-600">Staff / Recorder</label>
+            <div>
+              <h3 className="font-medium mb-2">Reward menu</h3>
+              <div className="flex flex-wrap gap-2">
+                {cfg.rewards.map((r) => (
+                  <button
+                    key={r.id}
+                    onClick={() => spend(r)}
+                    disabled={r.cost > balance}
+                    className="rounded-xl border px-3 py-2 hover:bg-gray-100 disabled:opacity-40"
+                    title={r.cost > balance ? `Needs ${r.cost - balance} more` : "Spend tokens"}
+                  >
+                    {r.name} · {r.cost}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
               <input
-                className="mt-1 w-full rounded-xl border px-3 py-2"
-                placeholder="e.g., Mr. Smith"
-                value={record.staff ?? ""}
-                onChange={(e) => updateRecord({ staff: e.target.value })}
+                type="number"
+                aria-label="Adjustment"
+                className="w-20 rounded-lg border px-2 py-1"
+                placeholder="±"
+                value={adjust.amount}
+                onChange={(e) => setAdjust((a) => ({ ...a, amount: e.target.value }))}
+              />
+              <input
+                className="flex-1 min-w-0 rounded-lg border px-2 py-1"
+                placeholder="Reason (e.g., lost token, bonus from specials)"
+                value={adjust.reason}
+                onChange={(e) => setAdjust((a) => ({ ...a, reason: e.target.value }))}
               />
+              <button onClick={addAdjustment} className="rounded-lg border px-3 py-1 hover:bg-gray-100">Adjust</button>
             </div>
+            <details>
+              <summary className="cursor-pointer font-medium">Earning rules & reward menu</summary>
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                {[
+                  ["pointsPerToken", "Points per token (0 = off)"],
+                  ["goalBonus", "Goal met bonus"],
+                  ["streakDays", "Streak length (days)"],
+                  ["streakBonus", "Streak bonus"],
+                ].map(([field, label]) => (
+                  <label key={field} className="flex flex-col text-gray-600">
+                    {label}
+                    <input
+                      type="number"
+                      className="rounded-lg border px-2 py-1"
+                      value={cfg[field]}
+                      onChange={(e) => setTokens({ [field]: clamp(parseInt(e.target.value || 0, 10), 0, 999) })}
+                    />
+                  </label>
+                ))}
+              </div>
+              <div className="flex items-center justify-between mt-3 mb-1">
+                <h4 className="font-medium">Bonus rules</h4>
+                <button
+                  onClick={() => setTokens({ bonusRules: [...cfg.bonusRules, { id: uid(), name: "Great day", type: "percent", min: 90, tokens: 2 }] })}
+                  className="rounded-lg border px-2 py-1 hover:bg-gray-100"
+                >
+                  + Rule
+                </button>
+              </div>
+              <ReorderableList
+                items={cfg.bonusRules}
+                setItems={(bonusRules) => setTokens({ bonusRules })}
+                renderExtra={(it, update) => (
+                  <>
+                    <select
+                      aria-label="Rule type"
+                      className="rounded-lg border px-1 py-1"
+                      value={it.type === "percent" ? "percent" : it.categoryId}
+                      onChange={(e) =>
+                        update(e.target.value === "percent" ? { type: "percent", categoryId: undefined } : { type: "category", categoryId: e.target.value })
+                      }
+                    >
+                      <option value="percent">Daily % ≥</option>
+                      {scoredCategories.map((c) => (
+                        <option key={c.id} value={c.id}>All {c.name} ≥</option>
+                      ))}
+                    </select>
+                    <input type="number" aria-label="Minimum" className="w-14 rounded-lg border px-1 py-1" value={it.min} onChange={(e) => update({ min: parseInt(e.target.value || 0, 10) })} />
+                    <input type="number" aria-label="Tokens" title="Tokens" className="w-14 rounded-lg border px-1 py-1" value={it.tokens} onChange={(e) => update({ tokens: parseInt(e.target.value || 0, 10) })} />
+                  </>
+                )}
+              />
+              <div className="flex items-center justify-between mt-3 mb-1">
+                <h4 className="font-medium">Rewards</h4>
+                <button
+                  onClick={() => setTokens({ rewards: [...cfg.rewards, { id: uid(), name: "New reward", cost: 10 }] })}
+                  className="rounded-lg border px-2 py-1 hover:bg-gray-100"
+                >
+                  + Reward
+                </button>
+              </div>
+              <ReorderableList
+                items={cfg.rewards}
+                setItems={(rewards) => setTokens({ rewards })}
+                renderExtra={(it, update) => (
+                  <input type="number" aria-label="Cost" title="Cost" className="w-16 rounded-lg border px-1 py-1" value={it.cost} onChange={(e) => update({ cost: clamp(parseInt(e.target.value || 0, 10), 0, 9999) })} />
+                )}
+              />
+            </details>
           </div>
 
-          {/* Goal & Settings quick */}
-          <div className="bg-white rounded-2xl shadow p-4">
-            <h2 className="font-semibold mb-2">Goal & Scale</h2>
-            <label className="text-sm text-gray-600">Daily Point Goal</label>
-            <input
-              type="number"
-              className="mt-1 w-full rounded-xl border px-3 py-2"
-              value={settings.goalPoints}
-              onChange={(e) => setSettings((prev) => ({ ...prev, goalPoints: clamp(parseInt(e.target.value || 0, 10), 0, 999) }))}
-            />
-            <div className="grid grid-cols-2 gap-2 mt-3">
-              <div>
-                <label className="text-sm text-gray-600">Max score per cell</label>
+          <div>
+            <h3 className="font-medium mb-2">History</h3>
+            {rows.length === 0 ? (
+              <p className="text-gray-500">No tokens earned or spent yet.</p>
+            ) : (
+              <div className="max-h-80 overflow-y-auto">
+                <table className="w-full">
+                  <tbody>
+                    {[...rows].reverse().map((r) => (
+                      <tr key={r.id} className="border-t align-top">
+                        <td className="p-1.5 whitespace-nowrap">{r.date}</td>
+                        <td className="p-1.5">{r.label}</td>
+                        <td className={`p-1.5 text-right font-medium ${r.amount < 0 ? "text-red-600" : "text-green-700"}`}>
+                          {r.amount > 0 ? `+${r.amount}` : r.amount}
+                        </td>
+                        <td className="p-1.5 text-right text-gray-500">{r.balance}</td>
+                        <td className="p-1.5">
+                          {r.kind !== "earn" && (
+                            <button className="rounded-md border px-1.5 hover:bg-red-50 text-red-600" onClick={() => onUndo(r.id)} title="Undo">✕</button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// ---- Check-in / Check-out Steps ----
+// Morning step: who checked the student in, how they're feeling, materials and the day's goal
+function CheckInCard({ cico, materials, goalTarget, onChange, onMaterials }) {
+  function editMaterials() {
+    const text = prompt("Materials to check at check-in (comma-separated)", materials.join(", "));
+    if (text === null) return;
+    onMaterials(text.split(",").map((x) => x.trim()).filter(Boolean));
+  }
+  return (
+    <section className="bg-white rounded-2xl shadow p-4" aria-label="Check-in">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h2 className="font-semibold">Check-in</h2>
+        <StepStamp at={cico.checkedInAt} label="checked in" onChange={(checkedInAt) => onChange({ checkedInAt })} />
+      </div>
+      <div className="grid md:grid-cols-4 gap-4 text-sm">
+        <label className="block">
+          <span className="text-gray-600">Mentor</span>
+          <input
+            className="mt-1 w-full rounded-xl border px-3 py-2"
+            placeholder="e.g., Ms. Lee"
+            value={cico.mentor ?? ""}
+            onChange={(e) => onChange({ mentor: e.target.value })}
+          />
+        </label>
+        <div>
+          <span className="text-gray-600">Mood</span>
+          <div role="radiogroup" aria-label="Mood" className="mt-1 flex flex-wrap gap-1">
+            {Object.entries(CICO_MOODS).map(([id, m]) => (
+              <button
+                key={id}
+                role="radio"
+                aria-checked={cico.mood === id}
+                title={m.label}
+                className={`rounded-lg border px-2 py-1 text-lg ${cico.mood === id ? "bg-gray-900 border-gray-900" : "hover:bg-gray-100"}`}
+                onClick={() => onChange({ mood: cico.mood === id ? undefined : id })}
+              >
+                {m.icon}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <div className="flex items-center justify-between">
+            <span className="text-gray-600">Materials</span>
+            <button className="text-xs underline text-gray-500 print:hidden" onClick={editMaterials}>Edit list</button>
+          </div>
+          <div className="mt-1 space-y-0.5">
+            {materials.map((item) => (
+              <label key={item} className="flex items-center gap-2">
                 <input
-                  type="number"
-                  className="mt-1 w-full rounded-xl border px-3 py-2"
-                  value={settings.scaleMax}
-                  onChange={(e) => setSettings((prev) => ({ ...prev, scaleMax: clamp(parseInt(e.target.value || 0, 10), 1, 10) }))}
+                  type="checkbox"
+                  checked={Boolean(cico.materials?.[item])}
+                  onChange={(e) => onChange({ materials: { ...cico.materials, [item]: e.target.checked } })}
                 />
-              </div>
-              <div>
-                <label className="text-sm text-gray-600">Scale labels (0..max)</label>
-                <ScaleLabelsEditor settings={settings} setSettings={setSettings} />
-              </div>
-            </div>
+                {item}
+              </label>
+            ))}
+          </div>
+        </div>
+        <label className="block">
+          <span className="text-gray-600">Goal for today (points)</span>
+          <input
+            type="number"
+            min="0"
+            className="mt-1 w-full rounded-xl border px-3 py-2"
+            placeholder={String(goalTarget)}
+            value={cico.goal ?? ""}
+            onChange={(e) => onChange({ goal: e.target.value === "" ? undefined : Math.max(0, Number(e.target.value) || 0) })}
+          />
+          <span className="text-xs text-gray-500">Blank uses the daily goal ({goalTarget}).</span>
+        </label>
+      </div>
+    </section>
+  );
+}
+
+// Afternoon step: the day's points against the check-in goal, feedback and a note home
+function CheckOutCard({ cico, review, totals, onChange }) {
+  return (
+    <section className="bg-white rounded-2xl shadow p-4" aria-label="Check-out">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h2 className="font-semibold">Check-out</h2>
+        <StepStamp at={cico.checkedOutAt} label="checked out" onChange={(checkedOutAt) => onChange({ checkedOutAt })} />
+      </div>
+      <div className="grid md:grid-cols-3 gap-4 text-sm">
+        <div className="space-y-1">
+          <div>
+            <span className="text-gray-500">Points:</span> {totals.totalPoints} / {totals.maxPoints} ({totals.percent}%)
+          </div>
+          <div>
+            <span className="text-gray-500">Goal:</span> {review.goal} pts{review.custom ? " (set at check-in)" : " (daily goal)"}
+          </div>
+          <div className="text-lg font-semibold">
+            {review.met ? "✅ Goal met" : `❌ ${Math.abs(review.diff)} pts short`}
+          </div>
+        </div>
+        <label className="block">
+          <span className="text-gray-600">Feedback</span>
+          <textarea
+            className="mt-1 w-full min-h-[80px] rounded-xl border px-3 py-2"
+            placeholder="What went well, what to work on tomorrow..."
+            value={cico.feedback ?? ""}
+            onChange={(e) => onChange({ feedback: e.target.value })}
+          />
+        </label>
+        <label className="block">
+          <span className="text-gray-600">Note home</span>
+          <textarea
+            className="mt-1 w-full min-h-[80px] rounded-xl border px-3 py-2"
+            placeholder="Printed on the daily report for a parent to sign"
+            value={cico.homeNote ?? ""}
+            onChange={(e) => onChange({ homeNote: e.target.value })}
+          />
+        </label>
+      </div>
+    </section>
+  );
+}
+
+// "Mark checked in" until pressed, then the time; pressing again clears it
+function StepStamp({ at, label, onChange }) {
+  return (
+    <button
+      className={`rounded-lg border px-3 py-1.5 text-sm ${at ? "bg-green-50 border-green-400 text-green-800" : "hover:bg-gray-100"}`}
+      title={at ? "Press to clear" : undefined}
+      onClick={() => onChange(at ? undefined : new Date().toISOString())}
+    >
+      {at ? `✓ ${label[0].toUpperCase()}${label.slice(1)} ${formatClock(at)}` : `Mark ${label}`}
+    </button>
+  );
+}
+
+// ---- Roster ----
+// One period, every student: a row per student with tap-sized score buttons. Each student is
+// scored under the rubric of their own record for the day, so a cell only appears when that
+// rubric has the period and category.
+function RosterView({ entries, students, sharedSettings, date, initialsOnly, onScore }) {
+  const now = useNow(30000);
+  const [periodId, setPeriodId] = useState(
+    () => (date === localDateISO(now) && currentPeriodId(sharedSettings.periods, now)) || sharedSettings.periods[0]?.id
+  );
+  const [fill, setFill] = useState({ categoryId: "all", score: "" });
+  const periods = sharedSettings.periods;
+  const period = periods.find((p) => p.id === periodId) ?? periods[0];
+  const prevPeriod = periods[periods.findIndex((p) => p.id === period?.id) - 1];
+  const columns = sharedSettings.categories.filter(isScored);
+  const fillMax = sharedSettings.scaleMax;
+
+  const rows = students.map((s) => {
+    const record = entries[`${date}__${s.id}`] ?? null;
+    const rubric = rubricOf(record, settingsFor(s, sharedSettings));
+    const hasPeriod = rubric.periods.some((p) => p.id === period?.id);
+    const cats = new Map(rubric.categories.filter(isScored).map((c) => [c.id, c]));
+    const row = record?.matrix?.[period?.id] ?? {};
+    const totals = record && hasPeriod ? computeTotals(record, rubric).perPeriodTotals[period.id] : null;
+    return { student: s, record, rubric, hasPeriod, cats, row, totals };
+  });
+
+  function applyToAll() {
+    if (fill.score === "") return;
+    const score = parseInt(fill.score, 10);
+    const cells = [];
+    // Absent students and cells marked with a status are left alone
+    rows.forEach(({ student, record, rubric, hasPeriod, cats }) => {
+      if (!hasPeriod) return;
+      columns
+        .filter((c) => cats.has(c.id) && (fill.categoryId === "all" || fill.categoryId === c.id) && !statusOf(record, period.id, c.id))
+        .forEach((c) => cells.push({ studentId: student.id, periodId: period.id, categoryId: c.id, score: Math.min(score, rubric.scaleMax) }));
+    });
+    if (cells.length) onScore(cells);
+  }
+
+  // Copy each student's scores from the previous period; empty cells there are skipped
+  function copyPrevious() {
+    const cells = [];
+    rows.forEach(({ student, record, hasPeriod, cats }) => {
+      const from = record?.matrix?.[prevPeriod.id];
+      if (!hasPeriod || !from || record.periodStatus?.[period.id]) return;
+      Object.entries(from).forEach(([categoryId, score]) => {
+        if (score !== null && score !== undefined && cats.has(categoryId) && !statusOf(record, prevPeriod.id, categoryId)) {
+          cells.push({ studentId: student.id, periodId: period.id, categoryId, score });
+        }
+      });
+    });
+    if (cells.length) onScore(cells);
+    else alert(`No scores to copy from ${prevPeriod.name}.`);
+  }
+
+  if (!period) {
+    return <section className="bg-white rounded-2xl shadow p-4 text-sm text-gray-500">Add a period in Settings to use the roster.</section>;
+  }
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 space-y-4">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h2 className="font-semibold">Roster — {date}</h2>
+        <select
+          aria-label="Period"
+          className="rounded-xl border px-3 py-2 text-base"
+          value={period.id}
+          onChange={(e) => setPeriodId(e.target.value)}
+        >
+          {periods.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}{p.start && p.name !== `${formatTime(p.start)}–${formatTime(p.end)}` ? ` (${formatTime(p.start)}–${formatTime(p.end)})` : ""}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap text-sm">
+        <span className="text-gray-600">Apply to all:</span>
+        <select className="rounded-lg border px-2 py-2" value={fill.categoryId} onChange={(e) => setFill((f) => ({ ...f, categoryId: e.target.value }))}>
+          <option value="all">Every category</option>
+          {columns.map((c) => (
+            <option key={c.id} value={c.id}>{c.name}</option>
+          ))}
+        </select>
+        <select className="rounded-lg border px-2 py-2" value={fill.score} onChange={(e) => setFill((f) => ({ ...f, score: e.target.value }))}>
+          <option value="">Score…</option>
+          {Array.from({ length: fillMax + 1 }, (_, n) => (
+            <option key={n} value={n}>{n} — {sharedSettings.scaleLabels?.[n] ?? `Level ${n}`}</option>
+          ))}
+        </select>
+        <button onClick={applyToAll} disabled={fill.score === ""} className="rounded-xl border px-3 py-2 hover:bg-gray-100 disabled:opacity-50">
+          Apply
+        </button>
+        {prevPeriod && (
+          <button onClick={copyPrevious} className="rounded-xl border px-3 py-2 hover:bg-gray-100">
+            Copy from {prevPeriod.name}
+          </button>
+        )}
+      </div>
+
+      <div className="overflow-auto">
+        <table className="min-w-full">
+          <thead>
+            <tr className="bg-gray-50 text-left text-sm">
+              <th className="p-2">Student</th>
+              {columns.map((c) => (
+                <th key={c.id} className="p-2">{c.name}</th>
+              ))}
+              <th className="p-2">Period</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ student, record, rubric, hasPeriod, cats, row, totals }) => (
+              <tr key={student.id} className="border-t">
+                <td className="p-2 font-medium">{displayName(student, initialsOnly)}</td>
+                {!hasPeriod ? (
+                  <td colSpan={columns.length} className="p-2 text-sm text-gray-500">
+                    {period.name} isn't in this student's rubric for the day.
+                  </td>
+                ) : record?.periodStatus?.[period.id] ? (
+                  <td colSpan={columns.length} className="p-2 text-sm text-amber-800">
+                    {CELL_STATUSES[record.periodStatus[period.id]]?.label} — not scored this period
+                  </td>
+                ) : (
+                  columns.map((c) => (
+                    <td key={c.id} className="p-2">
+                      {cats.has(c.id) ? (
+                        <div role="radiogroup" aria-label={`${displayName(student, initialsOnly)} — ${c.name}`} className="flex gap-1 items-center">
+                          {statusOf(record, period.id, c.id) && (
+                            <span className="text-xs text-amber-800" title={CELL_STATUSES[statusOf(record, period.id, c.id)]?.label}>
+                              {statusCode(statusOf(record, period.id, c.id))}
+                            </span>
+                          )}
+                          {Array.from({ length: rubric.scaleMax + 1 }, (_, n) => (
+                            <button
+                              key={n}
+                              role="radio"
+                              aria-checked={row[c.id] === n}
+                              title={rubric.scaleLabels?.[n] ?? `Level ${n}`}
+                              onClick={() => onScore([{ studentId: student.id, periodId: period.id, categoryId: c.id, score: row[c.id] === n ? null : n }])}
+                              className={`min-w-[2.75rem] min-h-[2.75rem] rounded-lg border text-base ${
+                                row[c.id] === n ? "bg-blue-600 text-white border-blue-600" : "hover:bg-gray-100"
+                              }`}
+                            >
+                              {n}
+                            </button>
+                          ))}
+                        </div>
+                      ) : (
+                        <span className="text-gray-400">—</span>
+                      )}
+                    </td>
+                  ))
+                )}
+                <td className="p-2 text-sm font-medium whitespace-nowrap">{totals?.max > 0 ? `${totals.total} / ${totals.max}` : ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">Tap a selected score again to clear it.</p>
+    </section>
+  );
+}
+
+// ---- Calendar ----
+// Month grid for one student. Scored days are shaded by percent and marked goal met or
+// not; past school days without scores stand out as missing. In edit mode a click marks
+// a day as a non-school day (or back) instead of opening it.
+const percentShade = (p) =>
+  p >= 90 ? "bg-green-300" : p >= 75 ? "bg-green-200" : p >= 60 ? "bg-lime-100" : p >= 40 ? "bg-amber-100" : "bg-red-200";
+
+function CalendarView({ entries, students, sharedSettings, initialStudentId, date, initialsOnly, onCalendar, onOpenDay }) {
+  const [studentId, setStudentId] = useState(initialStudentId);
+  const [month, setMonth] = useState(date.slice(0, 7));
+  const [editing, setEditing] = useState(false);
+  const student = students.find((s) => s.id === studentId);
+  const settings = settingsFor(student, sharedSettings);
+  const calendar = schoolCalendarOf(sharedSettings);
+  const today = localDateISO();
+
+  const dates = monthDates(`${month}-01`);
+  const days = useMemo(() => {
+    const scored = new Map(summarizeDays(entries, studentId, dates[0], dates.at(-1), settings).map((d) => [d.record.date, d]));
+    return dates.map((iso) => calendarDay(iso, entries[`${iso}__${studentId}`], scored.get(iso), { calendar, settings, today }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [entries, studentId, month, settings, sharedSettings.schoolCalendar, today]);
+  const scoredDays = days.filter((d) => d.kind === "scored");
+  const missing = days.filter((d) => d.kind === "missing").length;
+  const schoolDaysSoFar = days.filter((d) => d.date <= today && isSchoolDay(calendar, d.date)).length;
+  const avg = scoredDays.length ? round1(scoredDays.reduce((a, d) => a + d.percent, 0) / scoredDays.length) : null;
+  const phaseStarts = new Map(phasesOf(student).map((p) => [p.start, p]));
+
+  const shiftMonth = (n) => {
+    const d = new Date(`${month}-01T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() + n);
+    setMonth(d.toISOString().slice(0, 7));
+  };
+  const monthLabel = new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: "long", year: "numeric", timeZone: "UTC" });
+
+  function toggleClosed(iso) {
+    if (iso in calendar.closed) {
+      onCalendar((cal) => {
+        const { [iso]: _open, ...closed } = cal.closed;
+        return { ...cal, closed };
+      });
+      return;
+    }
+    const label = prompt(`Mark ${iso} as a non-school day. Label (optional):`, "");
+    if (label === null) return;
+    onCalendar((cal) => ({ ...cal, closed: { ...cal.closed, [iso]: label.trim() } }));
+  }
+  function toggleWeekday(n) {
+    onCalendar((cal) => ({
+      ...cal,
+      weekdays: cal.weekdays.includes(n) ? cal.weekdays.filter((x) => x !== n) : [...cal.weekdays, n].sort((a, b) => a - b),
+    }));
+  }
+
+  const describe = (d) => {
+    const when = new Date(`${d.date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric", timeZone: "UTC" });
+    const what = {
+      scored: `${d.percent}%, goal ${d.goalMet ? "met" : "not met"}`,
+      statuses: "not scored (absent, excused or similar)",
+      missing: "no data",
+      closed: `no school${d.closedLabel ? ` (${d.closedLabel})` : ""}`,
+      upcoming: "upcoming",
+    }[d.kind];
+    const phase = phaseStarts.get(d.date);
+    return `${when}: ${what}${d.hasNote ? ", has notes" : ""}${phase ? `; ${phase.name} starts` : ""}`;
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow p-4 space-y-3">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h2 className="font-semibold">Calendar</h2>
+        <div className="flex items-center gap-2 text-sm flex-wrap">
+          <select className="rounded-lg border px-2 py-1" value={studentId ?? ""} onChange={(e) => setStudentId(e.target.value)}>
+            {students.map((s) => (
+              <option key={s.id} value={s.id}>{displayName(s, initialsOnly)}{s.archivedAt ? " (archived)" : ""}</option>
+            ))}
+          </select>
+          <button onClick={() => shiftMonth(-1)} aria-label="Previous month" className="rounded-lg border px-2 py-1 hover:bg-gray-100">‹</button>
+          <span className="min-w-[9rem] text-center font-medium">{monthLabel}</span>
+          <button onClick={() => shiftMonth(1)} aria-label="Next month" className="rounded-lg border px-2 py-1 hover:bg-gray-100">›</button>
+          <button onClick={() => setMonth(today.slice(0, 7))} className="rounded-lg border px-2 py-1 hover:bg-gray-100">This month</button>
+          <button
+            onClick={() => setEditing((v) => !v)}
+            aria-pressed={editing}
+            className={`rounded-lg border px-2 py-1 ${editing ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+          >
+            Edit school calendar
+          </button>
+        </div>
+      </div>
+
+      <div className="text-sm grid grid-cols-2 md:grid-cols-4 gap-2">
+        <div><span className="text-gray-500">Scored:</span> {scoredDays.length} of {schoolDaysSoFar} school days so far</div>
+        <div><span className="text-gray-500">Missing:</span> {missing}</div>
+        <div><span className="text-gray-500">Average:</span> {avg ?? "—"}{avg !== null && "%"}</div>
+        <div><span className="text-gray-500">Goal met:</span> {scoredDays.filter((d) => d.goalMet).length} / {scoredDays.length} days</div>
+      </div>
+
+      {editing && (
+        <div className="rounded-xl border bg-gray-50 p-3 text-sm space-y-2">
+          <div className="flex items-center gap-3 flex-wrap">
+            <span className="text-gray-600">School days:</span>
+            {WEEKDAY_NAMES.map((name, n) => (
+              <label key={name} className="flex items-center gap-1">
+                <input type="checkbox" checked={calendar.weekdays.includes(n)} onChange={() => toggleWeekday(n)} />
+                {name}
+              </label>
+            ))}
           </div>
+          <p className="text-xs text-gray-500">Click a date to mark it as a non-school day (holiday, break, PD day), or click again to undo. Shared by all students.</p>
+        </div>
+      )}
+
+      <div role="group" aria-label={`${monthLabel} — ${displayName(student, initialsOnly)}`} className="grid grid-cols-7 gap-1 text-sm">
+        {WEEKDAY_NAMES.map((name) => (
+          <div key={name} aria-hidden="true" className="text-center text-xs text-gray-500 py-1">{name}</div>
+        ))}
+        {Array.from({ length: weekdayOf(dates[0]) }, (_, i) => (
+          <div key={`pad${i}`} aria-hidden="true" />
+        ))}
+        {days.map((d) => (
+          <button
+            key={d.date}
+            aria-label={describe(d)}
+            title={describe(d)}
+            onClick={() => (editing ? toggleClosed(d.date) : onOpenDay(studentId, d.date))}
+            className={`relative min-h-[4.5rem] rounded-lg border p-1 text-left align-top ${
+              d.kind === "scored"
+                ? percentShade(d.percent)
+                : d.kind === "missing"
+                  ? "bg-white border-dashed border-red-300"
+                  : d.kind === "closed"
+                    ? "bg-gray-100 text-gray-400"
+                    : d.kind === "statuses"
+                      ? "bg-amber-50"
+                      : "bg-white"
+            } ${d.date === date ? "outline outline-2 outline-blue-500" : ""} ${phaseStarts.has(d.date) ? "border-l-4 border-l-gray-800" : ""} hover:brightness-95`}
+          >
+            <div className="flex items-center justify-between">
+              <span className={d.date === today ? "font-bold" : ""}>{Number(d.date.slice(8))}</span>
+              {d.hasNote && <span aria-hidden="true">📝</span>}
+            </div>
+            {d.kind === "scored" && (
+              <div className="text-xs">
+                {d.percent}% {d.goalMet ? "✓" : "✗"}
+              </div>
+            )}
+            {d.kind === "missing" && <div className="text-xs text-red-700">no data</div>}
+            {d.kind === "statuses" && <div className="text-xs text-amber-800">not scored</div>}
+            {d.kind === "closed" && <div className="text-xs truncate">{d.closedLabel || "no school"}</div>}
+            {phaseStarts.has(d.date) && <div className="text-[10px] font-medium truncate">▶ {phaseStarts.get(d.date).name}</div>}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-3 flex-wrap text-xs text-gray-600">
+        {[
+          ["bg-green-300", "90%+"],
+          ["bg-green-200", "75–89%"],
+          ["bg-lime-100", "60–74%"],
+          ["bg-amber-100", "40–59%"],
+          ["bg-red-200", "under 40%"],
+        ].map(([cls, label]) => (
+          <span key={label} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded ${cls}`} />
+            {label}
+          </span>
+        ))}
+        <span>✓ goal met · ✗ not met · 📝 notes</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded border border-dashed border-red-300" /> missing</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded bg-gray-100 border" /> no school</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded border border-l-4 border-l-gray-800" /> phase starts</span>
+      </div>
+    </section>
+  );
+}
+
+// ---- Progress Report ----
+// Printable report for one student and date range. The parent version leaves out staff
+// names and period comments (internal notes) and keeps the daily home-school note.
+// Reports with check-in/check-out days end with a line for a parent's signature.
+function ReportView({ entries, students, sharedSettings, initialStudentId, initialFrom, initialTo, autoPrint, initialsOnly }) {
+  const [studentId, setStudentId] = useState(initialStudentId);
+  const [from, setFrom] = useState(initialFrom);
+  const [to, setTo] = useState(initialTo);
+  const [audience, setAudience] = useState("staff"); // "staff" | "parent"
+  const student = students.find((s) => s.id === studentId);
+  const settings = settingsFor(student, sharedSettings);
+  const parent = audience === "parent";
+
+  // Every day with something recorded, so a day of only notes or tallies still prints; the
+  // scored ones drive the totals, charts and day-by-day table
+  const filled = useMemo(
+    () => recordsInRange(entries, studentId, from, to).filter(recordHasData).map((r) => summarizeRecord(r, settings)),
+    [entries, studentId, from, to, settings]
+  );
+  const days = useMemo(() => filled.filter((d) => d.scored > 0), [filled]);
+  const categoryAvgs = scoreAverages(days, settings, "categories");
+  const measures = measureTotals(filled);
+  const daysMet = days.filter((d) => d.goalMet).length;
+  const avgPercent = days.length ? round1(days.reduce((a, d) => a + d.percent, 0) / days.length) : null;
+  const notes = filled.filter((d) => d.record.dailyNote || (!parent && Object.values(d.record.periodComments ?? {}).some(Boolean)));
+  const anyStatus = days.some((d) => d.excluded > 0);
+  // Check-in/out days are listed whether or not the day was scored
+  const cicoDays = filled.filter((d) => hasCICO(d.record));
+  const phases = phasesOf(student);
+  const stats = phaseStats(days, phases);
+  const flags = decisionFlags(days, phases, decisionRulesOf(sharedSettings));
+  // Each goal rule with the days it was met, labeled from the latest day that had it
+  const ruleSummary = useMemo(() => {
+    const byId = new Map();
+    days.forEach((d) =>
+      d.goals.rules.forEach((r) => {
+        const row = byId.get(r.rule.id) ?? { met: 0, days: 0 };
+        byId.set(r.rule.id, { ...row, rule: r.rule, rubric: d.rubric, met: row.met + (r.met ? 1 : 0), days: row.days + 1 });
+      })
+    );
+    return [...byId.values()];
+  }, [days]);
 
-          {/* Daily note */}
-          <div className="bg-white rounded-2xl shadow p-4 print:col-span-1">
-            <h2 className="font-semibold mb-2">Daily Note</h2>
-            <textarea
-              className="w-full min-h-[104px] rounded-xl border px-3 py-2"
-              placeholder="Highlights, triggers, reinforcers, home-school notes..."
-              value={record.dailyNote ?? ""}
-              onChange={(e) => updateRecord({ dailyNote: e.target.value })}
-            />
+  useEffect(() => {
+    if (!autoPrint) return;
+    const t = setTimeout(() => window.print(), 50);
+    return () => clearTimeout(t);
+  }, [autoPrint]);
+
+  function setPreset(preset) {
+    if (preset === "week") setFrom(addDays(to, -6));
+    if (preset === "4weeks") setFrom(addDays(to, -27));
+    if (preset === "month") setFrom(`${to.slice(0, 7)}-01`);
+  }
+
+  return (
+    <>
+      <section className="bg-white rounded-2xl shadow p-4 print:hidden">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <h2 className="font-semibold">Progress Report</h2>
+          <div className="flex items-center gap-2 text-sm flex-wrap">
+            <select className="rounded-lg border px-2 py-1" value={studentId ?? ""} onChange={(e) => setStudentId(e.target.value)}>
+              {students.map((s) => (
+                <option key={s.id} value={s.id}>{displayName(s, initialsOnly)}{s.archivedAt ? " (archived)" : ""}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1">
+              From
+              <input type="date" className="rounded-lg border px-2 py-1" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </label>
+            <label className="flex items-center gap-1">
+              To
+              <input type="date" className="rounded-lg border px-2 py-1" value={to} onChange={(e) => setTo(e.target.value)} />
+            </label>
+            {[
+              ["week", "Week"],
+              ["4weeks", "4 weeks"],
+              ["month", "Month to date"],
+            ].map(([id, label]) => (
+              <button key={id} onClick={() => setPreset(id)} className="rounded-lg border px-2 py-1 hover:bg-gray-100">{label}</button>
+            ))}
+            <select className="rounded-lg border px-2 py-1" value={audience} onChange={(e) => setAudience(e.target.value)}>
+              <option value="staff">Staff / IEP version</option>
+              <option value="parent">Parent-friendly version</option>
+            </select>
+            <button onClick={() => window.print()} className="rounded-xl border px-3 py-1.5 hover:bg-gray-100">Print</button>
           </div>
-        </section>
+        </div>
+      </section>
 
-        {/* Matrix */}
-        <section className="bg-white rounded-2xl shadow overflow-x-auto">
-          <div className="p-4 border-b flex items-center justify-between gap-2">
-            <h2 className="font-semibold">Daily Rubric</h2>
-            <div className="flex items-center gap-2 text-sm">
-              <button onClick={addPeriod} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">+ Period</button>
-              <button onClick={addCategory} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">+ Category</button>
-            </div>
+      <article className="report bg-white rounded-2xl shadow p-6 space-y-5 text-sm">
+        <div className="border-b pb-3">
+          <h2 className="text-xl font-bold">{parent ? "Behavior Progress Report" : "Behavior Progress Monitoring Report"}</h2>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mt-2">
+            <div><span className="text-gray-500">Student:</span> {displayName(student, initialsOnly)}</div>
+            <div><span className="text-gray-500">Dates:</span> {from === to ? from : `${from} – ${to}`}</div>
+            <div><span className="text-gray-500">Days scored:</span> {days.length}</div>
+            <div><span className="text-gray-500">Printed:</span> {localDateISO()}</div>
           </div>
-          <table className="w-full text-sm">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="p-2 text-left sticky left-0 bg-gray-50 z-10">Period / Category</th>
-                {settings.categories.map((c) => (
-                  <th key={c.id} className="p-2 text-left">
-                    <EditableText
-                      value={c.name}
-                      onChange={(v) => setSettings((prev) => ({
-                        ...prev,
-                        categories: prev.categories.map((x) => x.id === c.id ? { ...x, name: v } : x),
-                      }))}
-                    />
-                  </th>
-                ))}
-                <th className="p-2 text-left">Period Total</th>
-              </tr>
-            </thead>
-            <tbody>
-              {settings.periods.map((p) => (
-                <tr key={p.id} className="odd:bg-white even:bg-gray-50 border-t">
-                  <td className="p-2 sticky left-0 bg-inherit z-10">
-                    <EditableText
-                      value={p.name}
-                      onChange={(v) => setSettings((prev) => ({
-                        ...prev,
-                        periods: prev.periods.map((x) => x.id === p.id ? { ...x, name: v } : x),
-                      }))}
+          {days.some((d) => !isPlainScoring(d.rubric)) && (
+            <div className="mt-2 text-xs text-gray-600">
+              <span className="text-gray-500">Scoring:</span> {describeFormula(days[days.length - 1].rubric)}
+            </div>
+          )}
+        </div>
+
+        {filled.length === 0 ? (
+          <p className="text-gray-500">Nothing recorded in this range.</p>
+        ) : (
+          <>
+            {days.length === 0 ? (
+              <p className="text-gray-500">No scored days in this range.</p>
+            ) : (
+              <>
+                <section className="grid grid-cols-3 gap-3">
+                  <div className="rounded-xl border p-3">
+                    <div className="text-gray-500">Goal met</div>
+                    <div className="text-2xl font-bold">{daysMet} of {days.length} days</div>
+                  </div>
+                  <div className="rounded-xl border p-3">
+                    <div className="text-gray-500">Average</div>
+                    <div className="text-2xl font-bold">{avgPercent}%</div>
+                  </div>
+                  <div className="rounded-xl border p-3">
+                    <div className="text-gray-500">Best day</div>
+                    <div className="text-2xl font-bold">{Math.max(...days.map((d) => d.percent))}%</div>
+                  </div>
+                </section>
+
+                {days.length > 1 && (
+                  <section>
+                    <h3 className="font-semibold mb-1">Daily percent</h3>
+                    <LineChart
+                      labels={days.map((d) => d.record.date)}
+                      series={[
+                        { name: "Daily %", values: days.map((d) => d.percent), className: "stroke-blue-600", dots: true },
+                        { name: "Goal", values: days.map((d) => d.goalPercent), className: "stroke-green-600", dashed: true },
+                      ]}
+                      markers={phaseMarkers(stats)}
                     />
-                    <div className="mt-1">
-                      <input
-                        className="w-full rounded-lg border px-2 py-1"
-                        placeholder="Comment (optional)"
-                        value={record.periodComments?.[p.id] ?? ""}
-                        onChange={(e) => updateRecord({
-                          periodComments: { ...record.periodComments, [p.id]: e.target.value },
-                        })}
-                      />
-                    </div>
-                  </td>
+                  </section>
+                )}
 
-                  {settings.categories.map((c) => (
-                    <td key={c.id} className="p-2 align-top">
-                      <select
-                        aria-label={`Score for ${p.name} — ${c.name}`}
-                        className="w-full rounded-lg border px-2 py-1"
-                        value={record.matrix?.[p.id]?.[c.id] ?? ""}
-                        onChange={(e) => setScore(p.id, c.id, e.target.value)}
-                      >
-                        <option value="">—</option>
-                        {scaleOptions.map((n) => (
-                          <option key={n} value={n}>
-                            {n} — {settings.scaleLabels?.[n] ?? `Level ${n}`}
-                          </option>
+                {phases.length > 0 && (
+                  <section>
+                    <h3 className="font-semibold mb-1">Phases</h3>
+                    <PhaseStatsTable stats={stats} />
+                    {!parent && flags.length > 0 && (
+                      <ul className="mt-2 space-y-0.5">
+                        {flags.map((f) => (
+                          <li key={`${f.rule.id}-${f.date}`}>
+                            ⚑ {f.date}{f.phase ? ` (${f.phase.name})` : ""}: {describeDecisionRule(f.rule)} — {DECISION_RULE_TYPES[f.rule.type]?.advice}
+                          </li>
                         ))}
-                      </select>
-                    </td>
+                      </ul>
+                    )}
+                  </section>
+                )}
+
+                <section>
+                  <h3 className="font-semibold mb-1">Day by day</h3>
+                  <table className="w-full border">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="p-1.5 text-left">Date</th>
+                        {phases.length > 0 && <th className="p-1.5 text-left">Phase</th>}
+                        <th className="p-1.5 text-left">Points</th>
+                        <th className="p-1.5 text-left">%</th>
+                        <th className="p-1.5 text-left">Goal</th>
+                        <th className="p-1.5 text-left">Met</th>
+                        {ruleSummary.length > 0 && <th className="p-1.5 text-left">Tier</th>}
+                        {anyStatus && <th className="p-1.5 text-left">Not scored</th>}
+                        {!parent && <th className="p-1.5 text-left">Staff</th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {days.map((d) => (
+                        <tr key={d.record.date} className="border-t">
+                          <td className="p-1.5">{d.record.date}</td>
+                          {phases.length > 0 && <td className="p-1.5">{phaseOn(phases, d.record.date)?.name ?? "—"}</td>}
+                          <td className="p-1.5">{d.totalPoints} / {d.maxPoints}</td>
+                          <td className="p-1.5">{d.percent}%</td>
+                          <td className="p-1.5">
+                            {d.goalTarget} pts{d.goalTarget !== d.rubric.goalPoints && <span className="text-gray-500"> (prorated)</span>}
+                          </td>
+                          <td className="p-1.5">{d.goalMet ? "✅ Yes" : "❌ No"}</td>
+                          {ruleSummary.length > 0 && <td className="p-1.5">{d.goals.tier ? GOAL_TIERS[d.goals.tier] : "—"}</td>}
+                          {anyStatus && <td className="p-1.5 text-xs">{statusSummary(d.record, d.rubric)}</td>}
+                          {!parent && <td className="p-1.5">{d.record.staff}</td>}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {anyStatus && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Not scored: {Object.values(CELL_STATUSES).map((st) => `${st.code} = ${st.label}`).join(", ")}. These are left out of the
+                      points and the goal is lowered to match.
+                    </p>
+                  )}
+                </section>
+
+                {ruleSummary.length > 0 && (
+                  <section>
+                    <h3 className="font-semibold mb-1">Goals</h3>
+                    <table className="w-full border">
+                      <tbody>
+                        {ruleSummary.map(({ rule, rubric, met, days: n }) => (
+                          <tr key={rule.id} className="border-t">
+                            <td className="p-1.5">{GOAL_TIERS[rule.tier ?? "bronze"]}</td>
+                            <td className="p-1.5">{rule.name}</td>
+                            <td className="p-1.5 text-gray-600">{describeGoalRule(rule, rubric)}</td>
+                            <td className="p-1.5 font-medium">{n === 1 ? (met ? "✅ Met" : "❌ Not met") : `Met ${met} of ${n} days`}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </section>
+                )}
+              </>
+            )}
+
+            <section className="grid md:grid-cols-2 print:grid-cols-2 gap-4">
+              {days.length > 0 && (
+                <div>
+                  <h3 className="font-semibold mb-1">Average by expectation</h3>
+                  <BarChart items={categoryAvgs} />
+                </div>
+              )}
+              {measures.length > 0 && (
+                <div>
+                  <h3 className="font-semibold mb-1">Counts & durations</h3>
+                  <table className="w-full border">
+                    <tbody>
+                      {measures.map((m) => (
+                        <tr key={m.category.id} className="border-t">
+                          <td className="p-1.5">{m.category.name}</td>
+                          <td className="p-1.5">{formatMeasure(m)} total</td>
+                          <td className="p-1.5 text-gray-500">
+                            {m.type === "tally" ? `${round1(m.total / filled.length)} per day` : `${round1(m.total / 60 / filled.length)} min per day`}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </section>
+
+            {notes.length > 0 && (
+              <section>
+                <h3 className="font-semibold mb-1">{parent ? "Notes" : "Notes & comments"}</h3>
+                <div className="space-y-2">
+                  {notes.map((d) => (
+                    <div key={d.record.date} className="border-l-4 pl-3">
+                      <div className="font-medium">{d.record.date}</div>
+                      {d.record.dailyNote && <p className="whitespace-pre-wrap">{d.record.dailyNote}</p>}
+                      {!parent &&
+                        d.rubric.periods
+                          .filter((p) => d.record.periodComments?.[p.id])
+                          .map((p) => (
+                            <p key={p.id} className="text-gray-700">
+                              <span className="text-gray-500">{p.name}:</span> {d.record.periodComments[p.id]}
+                            </p>
+                          ))}
+                    </div>
                   ))}
+                </div>
+              </section>
+            )}
 
-                  <td className="p-2 font-medium">
-                    {perPeriodTotals[p.id].total} / {perPeriodTotals[p.id].max}
-                  </td>
+          </>
+        )}
+
+        {cicoDays.length > 0 && (
+          <section>
+            <h3 className="font-semibold mb-1">Check-in / Check-out</h3>
+            <table className="w-full border">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="p-1.5 text-left">Date</th>
+                  {!parent && <th className="p-1.5 text-left">Mentor</th>}
+                  <th className="p-1.5 text-left">Mood</th>
+                  <th className="p-1.5 text-left">Materials</th>
+                  <th className="p-1.5 text-left">Goal</th>
+                  <th className="p-1.5 text-left">Points</th>
+                  <th className="p-1.5 text-left">Feedback</th>
+                  <th className="p-1.5 text-left">Note home</th>
                 </tr>
-              ))}
-            </tbody>
-            <tfoot>
-              <tr className="border-t bg-gray-100">
-                <td className="p-2 font-semibold">Daily Total</td>
-                <td className="p-2" colSpan={settings.categories.length}>
-                  <div className="flex flex-wrap items-center gap-3">
-                    <div className="font-semibold">{totalPoints} / {maxPoints} ({percent}%)</div>
-                    <div className="text-xs text-gray-600">Goal: {settings.goalPoints} pts — {totalPoints >= settings.goalPoints ? "✅ Met" : "❌ Not Met"}</div>
-                  </div>
-                </td>
-                <td className="p-2"></td>
-              </tr>
-            </tfoot>
-          </table>
-        </section>
+              </thead>
+              <tbody>
+                {cicoDays.map((d) => {
+                  const c = d.record.cico;
+                  const review = cicoReview(d.record, d);
+                  return (
+                    <tr key={d.record.date} className="border-t align-top">
+                      <td className="p-1.5">{d.record.date}</td>
+                      {!parent && <td className="p-1.5">{c.mentor}</td>}
+                      <td className="p-1.5">{c.mood ? `${CICO_MOODS[c.mood]?.icon ?? ""} ${cicoValue("mood", c.mood)}` : ""}</td>
+                      <td className="p-1.5 text-xs">{cicoMaterialsText(d.record)}</td>
+                      <td className="p-1.5">{review.goal} pts</td>
+                      <td className="p-1.5">{d.scored > 0 ? `${d.totalPoints} ${review.met ? "✅" : "❌"}` : "Not scored"}</td>
+                      <td className="p-1.5 whitespace-pre-wrap">{c.feedback}</td>
+                      <td className="p-1.5 whitespace-pre-wrap">{c.homeNote}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </section>
+        )}
 
-        {/* Settings panel */}
-        <section className="bg-white rounded-2xl shadow p-4">
-          <div className="flex items-center justify-between flex-wrap gap-3">
-            <h2 className="font-semibold">Settings</h2>
-            <div className="flex items-center gap-2">
-              <label className="rounded-lg border px-3 py-1.5 cursor-pointer hover:bg-gray-50">
-                Import JSON
-                <input type="file" className="hidden" accept="application/json" onChange={(e) => e.target.files?.[0] && importSettingsJSON(e.target.files[0])} />
-              </label>
-              <button onClick={exportSettingsJSON} className="rounded-lg border px-3 py-1.5 hover:bg-gray-100">Export JSON</button>
-            </div>
-          </div>
+        {cicoDays.length > 0 && (
+          <section className="grid grid-cols-3 gap-6 pt-8">
+            <div className="col-span-2 border-t border-gray-800 pt-1 text-xs text-gray-600">Parent/guardian signature</div>
+            <div className="border-t border-gray-800 pt-1 text-xs text-gray-600">Date</div>
+          </section>
+        )}
+      </article>
+    </>
+  );
+}
 
-          <div className="grid md:grid-cols-2 gap-6 mt-4">
-            <div>
-              <h3 className="font-medium mb-2">Categories</h3>
-              <ReorderableList
-                items={settings.categories}
-                setItems={(items) => setSettings((prev) => ({ ...prev, categories: items }))}
-              />
-            </div>
-            <div>
-              <h3 className="font-medium mb-2">Periods</h3>
-              <ReorderableList
-                items={settings.periods}
-                setItems={(items) => setSettings((prev) => ({ ...prev, periods: items }))}
-              />
-            </div>
-          </div>
-        </section>
+// ---- Trends ----
+function TrendsView({ entries, students, sharedSettings, initialStudentId, endDate, initialsOnly, onPhases, onDecisionRules }) {
+  const [studentId, setStudentId] = useState(initialStudentId);
+  const [from, setFrom] = useState(() => addDays(endDate, -29));
+  const [to, setTo] = useState(endDate);
+  const student = students.find((s) => s.id === studentId);
+  const settings = settingsFor(student, sharedSettings);
 
-        {/* Student management */}
-        <section className="bg-white rounded-2xl shadow p-4">
-          <h2 className="font-semibold mb-2">Students</h2>
-          <div className="space-y-2">
-            {students.map((s) => (
-              <div key={s.id} className="flex items-center gap-2">
-                <input
-                  className="rounded-lg border px-3 py-1.5"
-                  value={s.name}
-                  onChange={(e) => renameStudent(s.id, e.target.value)}
-                />
-                <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => setStudentId(s.id)}>Select</button>
-                <button className="rounded-lg border px-3 py-1.5 hover:bg-red-50 text-red-600" onClick={() => removeStudent(s.id)}>Remove</button>
-              </div>
-            ))}
+  const days = useMemo(() => summarizeDays(entries, studentId, from, to, settings), [entries, studentId, from, to, settings]);
+  const phases = phasesOf(student);
+  const stats = phaseStats(days, phases);
+  const rules = decisionRulesOf(sharedSettings);
+  const flags = decisionFlags(days, phases, rules);
+  const rolling = rollingAverage(days.map((d) => d.percent), 5);
+  const categoryAvgs = scoreAverages(days, settings, "categories");
+  const periodAvgs = scoreAverages(days, settings, "periods");
+
+  const avgPercent = days.length ? round1(days.reduce((a, d) => a + d.percent, 0) / days.length) : null;
+  const daysMet = days.filter((d) => d.goalMet).length;
+
+  return (
+    <>
+      <section className="bg-white rounded-2xl shadow p-4">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <h2 className="font-semibold">Trends</h2>
+          <div className="flex items-center gap-2 text-sm flex-wrap">
+            <select className="rounded-lg border px-2 py-1" value={studentId ?? ""} onChange={(e) => setStudentId(e.target.value)}>
+              {students.map((s) => (
+                <option key={s.id} value={s.id}>{displayName(s, initialsOnly)}{s.archivedAt ? " (archived)" : ""}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1">
+              From
+              <input type="date" className="rounded-lg border px-2 py-1" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </label>
+            <label className="flex items-center gap-1">
+              To
+              <input type="date" className="rounded-lg border px-2 py-1" value={to} onChange={(e) => setTo(e.target.value)} />
+            </label>
           </div>
-        </section>
+        </div>
+        <div className="text-sm grid grid-cols-2 md:grid-cols-4 gap-2 mt-3">
+          <div><span className="text-gray-500">Student:</span> {displayName(student, initialsOnly)}</div>
+          <div><span className="text-gray-500">Days scored:</span> {days.length}</div>
+          <div><span className="text-gray-500">Average:</span> {avgPercent ?? "—"}{avgPercent !== null && "%"}</div>
+          <div><span className="text-gray-500">Goal met:</span> {daysMet} / {days.length} days</div>
+        </div>
+      </section>
 
-        <footer className="text-center text-xs text-gray-500 pb-12 print:hidden">
-          Built for quick, school-friendly data collection. Save/export often if using shared devices.
-        </footer>
-      </main>
+      <section className="bg-white rounded-2xl shadow p-4">
+        <h3 className="font-medium mb-2">Daily percent vs goal</h3>
+        {days.length === 0 ? (
+          <p className="text-sm text-gray-500">No scored days in this range.</p>
+        ) : (
+          <LineChart
+            labels={days.map((d) => d.record.date)}
+            series={[
+              { name: "Daily %", values: days.map((d) => d.percent), className: "stroke-blue-600", dots: true },
+              { name: "5-day avg", values: rolling, className: "stroke-amber-500", dashed: true },
+              { name: "Goal", values: days.map((d) => d.goalPercent), className: "stroke-green-600", dashed: true },
+            ]}
+            markers={phaseMarkers(stats)}
+          />
+        )}
+      </section>
 
-      {/* Print styles */}
-      <style>{`
-        @media print {
-          header, footer, .print\:hidden { display: none !important; }
-          .print\:grid-cols-3 { grid-template-columns: repeat(3, minmax(0, 1fr)); }
-          .rounded-2xl { border-radius: 0; box-shadow: none; }
-          .shadow { box-shadow: none; }
-          body { background: white; }
-        }
-      `}</style>
-    </div>
+      <PhasePanel
+        phases={phases}
+        stats={stats}
+        flags={flags}
+        rules={rules}
+        defaultStart={to}
+        onPhases={(next) => onPhases(studentId, next)}
+        onRules={onDecisionRules}
+      />
+
+      <section className="grid md:grid-cols-2 gap-4">
+        <div className="bg-white rounded-2xl shadow p-4">
+          <h3 className="font-medium mb-2">Category averages</h3>
+          <BarChart items={categoryAvgs} />
+        </div>
+        <div className="bg-white rounded-2xl shadow p-4">
+          <h3 className="font-medium mb-2">Period averages</h3>
+          <BarChart items={periodAvgs} />
+        </div>
+      </section>
+    </>
   );
 }
 
-// ---- Small Components ----
-function EditableText({ value, onChange }) {
+// Phases for the student shown in Trends: the editable timeline, each phase's numbers and the
+// decision-rule flags in the range
+function PhasePanel({ phases, stats, flags, rules, defaultStart, onPhases, onRules }) {
   const [editing, setEditing] = useState(false);
-  const [val, setVal] = useState(value);
-  useEffect(() => setVal(value), [value]);
+  const update = (id, patch) => onPhases(phases.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  const setRule = (id, patch) => onRules(rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  function addPhase() {
+    const name = PHASE_NAMES[Math.min(phases.length, PHASE_NAMES.length - 1)];
+    onPhases([...phases, { id: uid(), name, start: defaultStart, notes: "" }]);
+    setEditing(true);
+  }
   return (
-    <div>
-      {editing ? (
-        <input
-          autoFocus
-          className="rounded-lg border px-2 py-1 w-full"
-          value={val}
-          onChange={(e) => setVal(e.target.value)}
-          onBlur={() => { setEditing(false); onChange(val.trim() || value); }}
-          onKeyDown={(e) => {
-            if (e.key === "Enter") { setEditing(false); onChange(val.trim() || value); }
-            if (e.key === "Escape") { setEditing(false); setVal(value); }
-          }}
-        />
+    <section className="bg-white rounded-2xl shadow p-4 space-y-3 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="font-medium">Phases & decision rules</h3>
+        <div className="flex items-center gap-2">
+          <button onClick={addPhase} className="rounded-lg border px-2 py-1 hover:bg-gray-100">+ Phase</button>
+          <button
+            onClick={() => setEditing((v) => !v)}
+            aria-pressed={editing}
+            className={`rounded-lg border px-2 py-1 ${editing ? "bg-gray-900 text-white" : "hover:bg-gray-100"}`}
+          >
+            Edit
+          </button>
+        </div>
+      </div>
+      {phases.length === 0 && <p className="text-gray-500">No phases yet. Start with a Baseline phase to compare the plan against.</p>}
+
+      {editing && (
+        <div className="rounded-xl border bg-gray-50 p-3 space-y-2">
+          <datalist id="phase-names">
+            {PHASE_NAMES.map((n) => <option key={n} value={n} />)}
+          </datalist>
+          {phases.map((p) => (
+            <div key={p.id} className="flex items-center gap-2 flex-wrap">
+              <input
+                className="rounded-lg border px-2 py-1"
+                aria-label="Phase name"
+                list="phase-names"
+                value={p.name}
+                onChange={(e) => update(p.id, { name: e.target.value })}
+              />
+              <input
+                type="date"
+                className="rounded-lg border px-2 py-1"
+                aria-label="Phase start"
+                value={p.start}
+                onChange={(e) => e.target.value && update(p.id, { start: e.target.value })}
+              />
+              <input
+                className="flex-1 min-w-[12rem] rounded-lg border px-2 py-1"
+                aria-label="Phase notes"
+                placeholder="Notes: what changed in the plan"
+                value={p.notes ?? ""}
+                onChange={(e) => update(p.id, { notes: e.target.value })}
+              />
+              <button
+                className="rounded-md border px-2 py-1 hover:bg-gray-100"
+                title="Remove phase"
+                onClick={() => confirm(`Remove the phase "${p.name}"? Scores are not affected.`) && onPhases(phases.filter((x) => x.id !== p.id))}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <div className="border-t pt-2 space-y-1">
+            <div className="text-gray-600">Decision rules (all students)</div>
+            {rules.map((r) => (
+              <div key={r.id} className="flex items-center gap-2">
+                <ClampedNumberInput
+                  min={2}
+                  max={60}
+                  aria-label="Days"
+                  className="w-16 rounded-lg border px-2 py-1"
+                  value={r.days}
+                  onChange={(days) => setRule(r.id, { days })}
+                />
+                <select className="rounded-lg border px-2 py-1" aria-label="Rule" value={r.type} onChange={(e) => setRule(r.id, { type: e.target.value })}>
+                  {Object.entries(DECISION_RULE_TYPES).map(([id, t]) => (
+                    <option key={id} value={id}>{t.label}</option>
+                  ))}
+                </select>
+                <button className="rounded-md border px-2 py-1 hover:bg-gray-100" title="Remove rule" onClick={() => onRules(rules.filter((x) => x.id !== r.id))}>
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button onClick={() => onRules([...rules, { id: uid(), type: "belowGoal", days: 4 }])} className="rounded-lg border px-2 py-1 hover:bg-gray-100">
+              + Rule
+            </button>
+          </div>
+        </div>
+      )}
+
+      {phases.length > 0 && stats.length > 0 && <PhaseStatsTable stats={stats} />}
+      {flags.length > 0 ? (
+        <ul className="space-y-1">
+          {[...flags].reverse().map((f) => (
+            <li key={`${f.rule.id}-${f.date}`} className="rounded-lg border border-amber-300 bg-amber-50 px-2 py-1">
+              ⚑ {f.date}{f.phase ? ` (${f.phase.name})` : ""}: {describeDecisionRule(f.rule)} — {DECISION_RULE_TYPES[f.rule.type]?.advice}
+            </li>
+          ))}
+        </ul>
       ) : (
-        <button
-          type="button"
-          className="text-left font-medium hover:underline"
-          onClick={() => setEditing(true)}
-        >
-          {value}
-        </button>
+        rules.length > 0 && (
+          <p className="text-xs text-gray-500">No decision rule was triggered in this range ({rules.map(describeDecisionRule).join("; ")}).</p>
+        )
       )}
-    </div>
+    </section>
   );
 }
 
-function AddStudent({ onAdd }) {
-  const [open, setOpen] = useState(false);
-  const [name, setName] = useState("");
+// Mean, median and trend of the daily percent in each phase
+function PhaseStatsTable({ stats }) {
   return (
-    <div className="relative">
-      {!open ? (
-        <button className="rounded-xl border px-3 py-1.5 hover:bg-gray-100" onClick={() => setOpen(true)}>+ Student</button>
-      ) : (
-        <div className="flex items-center gap-2">
-          <input className="rounded-lg border px-2 py-1" placeholder="Student name" value={name} onChange={(e) => setName(e.target.value)} />
-          <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => { onAdd(name); setName(""); setOpen(false); }}>Add</button>
-          <button className="rounded-lg border px-3 py-1.5 hover:bg-gray-100" onClick={() => setOpen(false)}>Cancel</button>
-        </div>
-      )}
-    </div>
+    <table className="w-full border">
+      <thead className="bg-gray-50">
+        <tr>
+          <th className="p-1.5 text-left">Phase</th>
+          <th className="p-1.5 text-left">Dates</th>
+          <th className="p-1.5 text-left">Days</th>
+          <th className="p-1.5 text-left">Mean</th>
+          <th className="p-1.5 text-left">Median</th>
+          <th className="p-1.5 text-left">Trend</th>
+          <th className="p-1.5 text-left">Goal met</th>
+        </tr>
+      </thead>
+      <tbody>
+        {stats.map((g) => (
+          <tr key={g.phase?.id ?? "none"} className="border-t align-top">
+            <td className="p-1.5">
+              {g.phase?.name ?? "Before the first phase"}
+              {g.phase?.notes && <div className="text-xs text-gray-500">{g.phase.notes}</div>}
+            </td>
+            <td className="p-1.5">{g.from === g.to ? g.from : `${g.from} – ${g.to}`}</td>
+            <td className="p-1.5">{g.n}</td>
+            <td className="p-1.5">{g.mean}%</td>
+            <td className="p-1.5">{g.median}%</td>
+            <td className="p-1.5">{formatTrend(g.trend)}</td>
+            <td className="p-1.5">{g.goalMet} / {g.n}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
   );
 }
 
-function ScaleLabelsEditor({ settings, setSettings }) {
-  const labels = Array.from({ length: settings.scaleMax + 1 }, (_, i) => i);
+// Percent (0–100) line chart in plain SVG; x = one slot per label. `markers` draw a labeled
+// vertical line before the label at `index` (phase changes).
+function LineChart({ labels, series, markers = [] }) {
+  const W = 720;
+  const H = 220;
+  const pad = { l: 36, r: 12, t: 12, b: 28 };
+  const x = (i) => pad.l + (labels.length > 1 ? (i / (labels.length - 1)) * (W - pad.l - pad.r) : (W - pad.l - pad.r) / 2);
+  const y = (v) => pad.t + (1 - clamp(v, 0, 100) / 100) * (H - pad.t - pad.b);
+  const tickEvery = Math.max(1, Math.ceil(labels.length / 8));
   return (
-    <div className="space-y-1">
-      {labels.map((n) => (
-        <div key={n} className="flex items-center gap-2">
-          <span className="text-xs w-5 text-gray-500">{n}</span>
-          <input
-            className="flex-1 rounded-lg border px-2 py-1"
-            value={settings.scaleLabels?.[n] ?? ""}
-            onChange={(e) => setSettings((prev) => ({
-              ...prev,
-              scaleLabels: { ...prev.scaleLabels, [n]: e.target.value },
-            }))}
-          />
-        </div>
-      ))}
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label="Daily percent chart">
+        {[0, 25, 50, 75, 100].map((v) => (
+          <g key={v}>
+            <line x1={pad.l} x2={W - pad.r} y1={y(v)} y2={y(v)} className="stroke-gray-200" />
+            <text x={pad.l - 6} y={y(v) + 4} textAnchor="end" className="fill-gray-500 text-[10px]">{v}</text>
+          </g>
+        ))}
+        {labels.map((l, i) => i % tickEvery === 0 && (
+          <text key={l} x={x(i)} y={H - 8} textAnchor="middle" className="fill-gray-500 text-[10px]">{l.slice(5)}</text>
+        ))}
+        {markers.map((m) => {
+          const mx = m.index > 0 ? (x(m.index - 1) + x(m.index)) / 2 : x(0);
+          return (
+            <g key={`${m.index}-${m.label}`} data-marker={m.label}>
+              <line x1={mx} x2={mx} y1={pad.t} y2={H - pad.b} strokeWidth="1.5" strokeDasharray="6 3" className="stroke-gray-700" />
+              <text x={mx + 3} y={pad.t + 9} className="fill-gray-700 text-[10px]">{m.label}</text>
+            </g>
+          );
+        })}
+        {series.map((s) => (
+          <g key={s.name}>
+            <polyline
+              fill="none"
+              strokeWidth="2"
+              strokeDasharray={s.dashed ? "4 3" : undefined}
+              className={s.className}
+              points={s.values.map((v, i) => `${x(i)},${y(v)}`).join(" ")}
+            />
+            {s.dots && s.values.map((v, i) => (
+              <circle key={i} cx={x(i)} cy={y(v)} r="3" className={`${s.className} fill-white`} strokeWidth="2">
+                <title>{`${labels[i]}: ${round1(v)}%`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="flex gap-4 text-xs text-gray-600 mt-1">
+        {series.map((s) => (
+          <span key={s.name} className="flex items-center gap-1">
+            <svg width="18" height="6"><line x1="0" x2="18" y1="3" y2="3" strokeWidth="2" strokeDasharray={s.dashed ? "4 3" : undefined} className={s.className} /></svg>
+            {s.name}
+          </span>
+        ))}
+      </div>
     </div>
   );
 }
 
-function ReorderableList({ items, setItems }) {
-  function move(idx, dir) {
-    const j = idx + dir;
-    if (j < 0 || j >= items.length) return;
-    const next = [...items];
-    const [it] = next.splice(idx, 1);
-    next.splice(j, 0, it);
-    setItems(next);
-  }
-  function remove(idx) {
-    const next = [...items];
-    next.splice(idx, 1);
-    setItems(next);
-  }
-  function rename(idx, name) {
-    const next = [...items];
-    next[idx] = { ...next[idx], name };
-    setItems(next);
-  }
+// Horizontal percent bars; `value` null renders as "no data"
+function BarChart({ items }) {
   return (
-    <div className="space-y-2">
-      {items.map((it, i) => (
-        <div key={it.id} className="flex items-center gap-2">
-          <input className="flex-1 rounded-lg border px-3 py-1.5" value={it.name} onChange={(e) => rename(i, e.target.value)} />
-          <div className="flex items-center gap-1">
-            <button className="rounded-md border px-2 py-1 hover:bg-gray-100" onClick={() => move(i, -1)} title="Move up">↑</button>
-            <button className="rounded-md border px-2 py-1 hover:bg-gray-100" onClick={() => move(i, +1)} title="Move down">↓</button>
-            <button className="rounded-md border px-2 py-1 hover:bg-red-50 text-red-600" onClick={() => remove(i)} title="Remove">✕</button>
+    <div className="space-y-2 text-sm">
+      {items.map((it) => (
+        <div key={it.id}>
+          <div className="flex justify-between text-xs text-gray-600">
+            <span>{it.label}</span>
+            <span>{it.value === null ? it.detail : `${it.value}% — ${it.detail}`}</span>
+          </div>
+          <div className="h-3 rounded bg-gray-100 overflow-hidden">
+            <div className="h-full bg-blue-500" style={{ width: `${it.value ?? 0}%` }} />
           </div>
         </div>
       ))}
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * Behavior Rubric — optional sync server (Node, no dependencies)
+ * - Keeps students, shared settings and day records for every device that syncs
+ * - Last-write-wins per cell/field, decided by each change's timestamp
+ * - Change log keeping the newest change per target; devices pull everything after their last seen `seq`
+ * - Data is one JSON file on disk, so backups are a file copy
+ *
+ * Usage:
+ *   node behavior_rubric_sync_server.mjs [--port 8787] [--host 127.0.0.1] [--data ./behavior_rubric_sync.json] [--token SECRET]
+ *   node --test behavior_rubric_sync_server.test.mjs   (checks against a local instance)
+ *
+ * Endpoints (JSON; send `Authorization: Bearer SECRET` when --token is set):
+ *   GET  /api/health
+ *   GET  /api/students             -> { seq, students: [...] }
+ *   GET  /api/settings             -> { seq, settings }
+ *   GET  /api/entries              -> { seq, entries: { "date__studentId": record } }
+ *   GET  /api/changes?since=<seq>  -> { seq, ops: [...] }
+ *   POST /api/changes { ops }      -> { seq, accepted: [id], rejected: [{ id, current }] }
+ *
+ * A change ("op") is { id, device, ts, kind, key, path, value, deleted }:
+ *   kind "student"  key = student id, whole student object
+ *   kind "settings" key = "shared", whole settings object
+ *   kind "entry"    key = "date__studentId", path = field path inside the record
+ *                   (e.g. ["matrix", periodId, categoryId]); path [] + deleted removes the day
+ */
+import { createServer } from "node:http";
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+
+// ---- Options ----
+function parseArgs(argv) {
+  const opts = { port: 8787, host: "127.0.0.1", data: "./behavior_rubric_sync.json", token: "" };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i]?.replace(/^--/, "");
+    if (!(name in opts)) throw new Error(`Unknown option: ${argv[i]}`);
+    opts[name] = name === "port" ? parseInt(argv[i + 1], 10) : argv[i + 1];
+  }
+  return opts;
+}
+
+// ---- Store ----
+const emptyStore = () => ({
+  seq: 0,
+  log: [], // accepted ops still current, each with its `seq` (see compactLog)
+  students: {}, // id -> student
+  settings: null,
+  entries: {}, // key -> record
+  times: {}, // target -> { ts, device } of the winning write
+  tombstones: {}, // entry key -> { ts, device } of its deletion
+});
+
+function loadStore(file) {
+  if (!existsSync(file)) return emptyStore();
+  const store = { ...emptyStore(), ...JSON.parse(readFileSync(file, "utf8")) };
+  compactLog(store);
+  return store;
+}
+
+// Write to a temp file then rename, so a crash mid-write can't corrupt the data file
+function saveStore(file, store) {
+  writeFileSync(`${file}.tmp`, JSON.stringify(store));
+  renameSync(`${file}.tmp`, file);
+}
+
+// ---- Last-write-wins ----
+const target = (op) => JSON.stringify([op.kind, op.key, op.path ?? []]);
+const newer = (op, cur) => !cur || op.ts > cur.ts || (op.ts === cur.ts && op.device > cur.device);
+
+function setIn(obj, path, value) {
+  if (path.length === 0) return value;
+  const [head, ...rest] = path;
+  const base = obj && typeof obj === "object" ? obj : {};
+  return { ...base, [head]: setIn(base[head], rest, value) };
+}
+function deleteIn(obj, path) {
+  if (!obj || typeof obj !== "object") return obj;
+  const [head, ...rest] = path;
+  if (rest.length === 0) {
+    const { [head]: _removed, ...kept } = obj;
+    return kept;
+  }
+  return { ...obj, [head]: deleteIn(obj[head], rest) };
+}
+
+// The op that would recreate what the store now holds for `op`'s target
+function currentFor(store, op) {
+  const t = store.times[target(op)];
+  const base = { id: `current-${op.id}`, kind: op.kind, key: op.key, path: op.path ?? [], ts: t?.ts ?? 0, device: t?.device ?? "" };
+  if (op.kind === "student") {
+    const s = store.students[op.key];
+    return s ? { ...base, value: s } : { ...base, deleted: true };
+  }
+  if (op.kind === "settings") return { ...base, value: store.settings };
+  const rec = store.entries[op.key];
+  if (!rec) return { ...base, path: [], deleted: true, ts: store.tombstones[op.key]?.ts ?? 0 };
+  const value = (op.path ?? []).reduce((v, k) => (v == null ? undefined : v[k]), rec);
+  return value === undefined ? { ...base, deleted: true } : { ...base, value };
+}
+
+// Apply one op if it is newer than what the store has for its target. Returns true if accepted.
+function applyOp(store, op) {
+  const t = target(op);
+  if (!newer(op, store.times[t])) return false;
+  if (op.kind === "student") {
+    if (op.deleted) delete store.students[op.key];
+    else store.students[op.key] = op.value;
+  } else if (op.kind === "settings") {
+    store.settings = op.value;
+  } else if (op.kind === "entry") {
+    const path = op.path ?? [];
+    if (path.length === 0) {
+      if (!op.deleted) return false; // whole-record writes are sent as individual fields
+      store.tombstones[op.key] = { ts: op.ts, device: op.device };
+      delete store.entries[op.key];
+    } else {
+      // A field edit older than the day's deletion stays deleted
+      if (!newer(op, store.tombstones[op.key])) return false;
+      const rec = store.entries[op.key] ?? {};
+      store.entries[op.key] = op.deleted ? deleteIn(rec, path) : setIn(rec, path, op.value);
+    }
+  } else {
+    return false;
+  }
+  store.times[t] = { ts: op.ts, device: op.device };
+  store.seq += 1;
+  store.log.push({ ...op, seq: store.seq });
+  return true;
+}
+
+// Drop ops that no longer decide anything: one overwritten by a newer op for the same
+// target, and field edits to a day deleted after them. A device that missed a dropped op
+// still pulls what replaced it, which has a higher `seq`, so the log stays the size of the
+// data rather than of its whole edit history.
+function compactLog(store) {
+  store.log = store.log.filter((op) => {
+    const t = store.times[target(op)];
+    if (!t || t.ts !== op.ts || t.device !== op.device) return false;
+    return op.kind !== "entry" || (op.path ?? []).length === 0 || newer(op, store.tombstones[op.key]);
+  });
+}
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Students and settings are whole objects; settings can't be deleted, only replaced
+const isValidOp = (op) =>
+  isPlainObject(op) &&
+  typeof op.id === "string" &&
+  typeof op.device === "string" &&
+  typeof op.ts === "number" &&
+  ["student", "settings", "entry"].includes(op.kind) &&
+  typeof op.key === "string" &&
+  (op.path === undefined || Array.isArray(op.path)) &&
+  (op.kind === "entry" || (op.deleted === true ? op.kind === "student" : isPlainObject(op.value)));
+
+// ---- HTTP ----
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// Past MAX_BODY_BYTES nothing more is kept: the request fails with status 413 and the
+// rest of the upload is ignored (the connection is dropped once the reply is sent)
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on("data", (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        req.pause();
+        return reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (tooLarge) return;
+      const raw = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch {
+        reject(new Error("Body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+export function createSyncServer({ data, token = "" }) {
+  const store = loadStore(data);
+  let saveTimer = null;
+  const scheduleSave = () => {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => saveStore(data, store), 200);
+  };
+
+  const server = createServer(async (req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204);
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname === "/api/health") return send(res, 200, { ok: true, seq: store.seq });
+    if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: "Unauthorized" });
+
+    try {
+      if (req.method === "GET" && url.pathname === "/api/students") {
+        return send(res, 200, { seq: store.seq, students: Object.values(store.students) });
+      }
+      if (req.method === "GET" && url.pathname === "/api/settings") {
+        return send(res, 200, { seq: store.seq, settings: store.settings });
+      }
+      if (req.method === "GET" && url.pathname === "/api/entries") {
+        return send(res, 200, { seq: store.seq, entries: store.entries });
+      }
+      if (req.method === "GET" && url.pathname === "/api/changes") {
+        const since = parseInt(url.searchParams.get("since") ?? "0", 10) || 0;
+        return send(res, 200, { seq: store.seq, ops: store.log.filter((op) => op.seq > since) });
+      }
+      if (req.method === "POST" && url.pathname === "/api/changes") {
+        const { ops } = await readBody(req);
+        if (!Array.isArray(ops)) return send(res, 400, { error: "Expected { ops: [...] }" });
+        const accepted = [];
+        const rejected = [];
+        ops.forEach((op) => {
+          if (!isValidOp(op)) return rejected.push({ id: op?.id ?? null, error: "Malformed change" });
+          if (applyOp(store, op)) accepted.push(op.id);
+          else rejected.push({ id: op.id, current: currentFor(store, op) });
+        });
+        if (accepted.length) {
+          compactLog(store);
+          scheduleSave();
+        }
+        return send(res, 200, { seq: store.seq, accepted, rejected });
+      }
+      return send(res, 404, { error: "Not found" });
+    } catch (err) {
+      if (err.status === 413) {
+        res.setHeader("Connection", "close");
+        res.on("finish", () => req.destroy());
+      }
+      return send(res, err.status ?? 400, { error: err.message });
+    }
+  });
+  server.on("close", () => {
+    clearTimeout(saveTimer);
+    saveStore(data, store);
+  });
+  return server;
+}
+
+// ---- CLI ----
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const opts = parseArgs(process.argv.slice(2));
+  const server = createSyncServer(opts);
+  server.listen(opts.port, opts.host, () => {
+    console.log(`Behavior Rubric sync server on http://${opts.host}:${opts.port} (data: ${opts.data})`);
+  });
+  const stop = () => server.close(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
@@ -0,0 +1,163 @@
+/**
+ * Checks for the sync server against a local instance on a free port (no dependencies).
+ *
+ * Usage:
+ *   node --test behavior_rubric_sync_server.test.mjs
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { request } from "node:http";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createSyncServer } from "./behavior_rubric_sync_server.mjs";
+
+let server;
+let base;
+let dir;
+let n = 0;
+
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), "behavior-rubric-sync-"));
+  server = createSyncServer({ data: join(dir, "sync.json") });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const get = async (path) => (await fetch(`${base}${path}`)).json();
+const post = async (ops) => (await fetch(`${base}/api/changes`, { method: "POST", body: JSON.stringify({ ops }) })).json();
+const op = (fields) => ({ id: `op-${(n += 1)}`, device: "a", ts: 1000, ...fields });
+const cell = (key, ts, value, device = "a") => op({ kind: "entry", key, path: ["matrix", "p1", "c1"], ts, value, device });
+
+test("the newest write to a cell wins, whichever arrives first", async () => {
+  const newer = cell("2024-03-05__s1", 2000, 3, "b");
+  const older = cell("2024-03-05__s1", 1500, 1);
+  assert.deepEqual((await post([newer])).accepted, [newer.id]);
+
+  const { accepted, rejected } = await post([older]);
+  assert.deepEqual(accepted, []);
+  assert.equal(rejected[0].id, older.id);
+  assert.equal(rejected[0].current.value, 3); // what the device should show instead
+
+  const { entries } = await get("/api/entries");
+  assert.equal(entries["2024-03-05__s1"].matrix.p1.c1, 3);
+});
+
+test("equal timestamps are settled by device id", async () => {
+  await post([cell("2024-03-06__s1", 1000, 1, "a")]);
+  await post([cell("2024-03-06__s1", 1000, 2, "b")]);
+  const { rejected } = await post([cell("2024-03-06__s1", 1000, 0, "a")]);
+  assert.equal(rejected.length, 1);
+  assert.equal((await get("/api/entries")).entries["2024-03-06__s1"].matrix.p1.c1, 2);
+});
+
+test("a deleted day stays deleted for edits made before the deletion", async () => {
+  const key = "2024-03-07__s1";
+  await post([cell(key, 1000, 2)]);
+  await post([op({ kind: "entry", key, path: [], ts: 3000, deleted: true })]);
+  assert.equal((await get("/api/entries")).entries[key], undefined);
+
+  const stale = await post([cell(key, 2000, 1, "b")]);
+  assert.equal(stale.rejected[0].current.deleted, true);
+  assert.equal((await get("/api/entries")).entries[key], undefined);
+
+  // A later edit brings the day back
+  assert.equal((await post([cell(key, 4000, 1, "b")])).accepted.length, 1);
+  assert.equal((await get("/api/entries")).entries[key].matrix.p1.c1, 1);
+});
+
+test("malformed changes are rejected and never stored", async () => {
+  const bad = [
+    op({ kind: "student", key: "s9" }),
+    op({ kind: "student", key: "s9", value: null }),
+    op({ kind: "student", key: "s9", value: [] }),
+    op({ kind: "settings", key: "shared" }),
+    op({ kind: "settings", key: "shared", deleted: true }),
+    op({ kind: "other", key: "x", value: {} }),
+    op({ kind: "entry", key: "2024-03-08__s1", path: "matrix", value: 1 }),
+    op({ kind: "entry", key: "2024-03-08__s1", ts: "1000", path: ["dailyNote"], value: "x" }),
+  ];
+  const { accepted, rejected } = await post(bad);
+  assert.deepEqual(accepted, []);
+  assert.deepEqual(
+    rejected.map((r) => r.error),
+    bad.map(() => "Malformed change")
+  );
+  const { ops } = await get("/api/changes?since=0");
+  assert.ok(!ops.some((o) => bad.some((b) => b.id === o.id)));
+  assert.ok(!(await get("/api/students")).students.some((s) => s === null || s?.id === "s9"));
+});
+
+test("students are added and removed as whole objects", async () => {
+  await post([op({ kind: "student", key: "s2", value: { id: "s2", name: "Sam" } })]);
+  assert.ok((await get("/api/students")).students.some((s) => s.id === "s2"));
+  await post([op({ kind: "student", key: "s2", ts: 2000, deleted: true })]);
+  assert.ok(!(await get("/api/students")).students.some((s) => s.id === "s2"));
+});
+
+test("the change log keeps only the newest change per target", async () => {
+  const key = "2024-03-09__s1";
+  const before = (await get("/api/changes?since=0")).seq;
+  for (let ts = 1000; ts < 1010; ts++) await post([cell(key, ts, ts % 3)]);
+  await post([op({ kind: "entry", key, path: ["dailyNote"], ts: 1000, value: "Good day" })]);
+
+  const { seq, ops } = await get(`/api/changes?since=${before}`);
+  assert.equal(seq, before + 11);
+  const forDay = ops.filter((o) => o.key === key);
+  assert.deepEqual(
+    forDay.map((o) => [o.path.join("/"), o.value]),
+    [
+      ["matrix/p1/c1", 1009 % 3],
+      ["dailyNote", "Good day"],
+    ]
+  );
+
+  // Deleting the day leaves only the deletion
+  await post([op({ kind: "entry", key, path: [], ts: 5000, deleted: true })]);
+  const after = (await get("/api/changes?since=0")).ops.filter((o) => o.key === key);
+  assert.deepEqual(after.map((o) => o.deleted), [true]);
+});
+
+test("an oversized body is refused without reading the rest of it", async () => {
+  const chunk = Buffer.alloc(1024 * 1024, 32);
+  let sent = 0;
+  const status = await new Promise((resolve) => {
+    const { port } = server.address();
+    const req = request({ host: "127.0.0.1", port, method: "POST", path: "/api/changes" }, (res) => resolve(res.statusCode));
+    req.on("error", () => resolve("connection closed"));
+    const pump = () => {
+      while (sent < 200 && req.write(chunk)) sent += 1;
+      if (sent < 200) req.once("drain", pump);
+      else req.end();
+    };
+    pump();
+  });
+  assert.equal(status, 413);
+  assert.ok(sent < 200, `the whole ${sent} MB upload was read`);
+});
+
+test("accepted changes are saved and read back after a restart", async () => {
+  const data = join(dir, "restart.json");
+  const start = async () => {
+    const s = createSyncServer({ data });
+    await new Promise((resolve) => s.listen(0, "127.0.0.1", resolve));
+    return { s, url: `http://127.0.0.1:${s.address().port}` };
+  };
+  const first = await start();
+  const change = cell("2024-03-10__s1", 1000, 2);
+  await fetch(`${first.url}/api/changes`, { method: "POST", body: JSON.stringify({ ops: [change] }) });
+  await new Promise((resolve) => first.s.close(resolve)); // saves on close
+
+  const second = await start();
+  const { entries } = await (await fetch(`${second.url}/api/entries`)).json();
+  const { ops } = await (await fetch(`${second.url}/api/changes?since=0`)).json();
+  await new Promise((resolve) => second.s.close(resolve));
+  assert.equal(entries["2024-03-10__s1"].matrix.p1.c1, 2);
+  assert.deepEqual(ops.map((o) => o.id), [change.id]);
+});